@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the Async Data Fetcher
+ * 
+ * Fetches a URL with the same retry semantics as fetchWithRetry and prints
+ * the response body. With --verbose it also prints a per-attempt timeline
+ * to stderr. The exit code tells the kind of failure apart.
+ */
+
+const { parseArgs } = require('util');
+const {
+    fetchWithRetry,
+    normalizeRetryOptions,
+    HttpError,
+    RetryExhaustedError,
+    TimeoutError,
+    AbortError,
+    isNetworkError,
+    BACKOFF_STRATEGIES,
+    IDEMPOTENT_METHODS
+} = require('./dataFetcher');
+
+/**
+ * Exit codes, one per kind of outcome
+ */
+const EXIT_CODES = Object.freeze({
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    HTTP_ERROR: 3,
+    NETWORK_ERROR: 4,
+    TIMEOUT: 5,
+    RETRIES_EXHAUSTED: 6,
+    ABORTED: 130
+});
+
+const USAGE = `Usage: node cli.js [options] <url>
+
+Fetches a URL with automatic retries and prints the response body.
+
+Options:
+  -X, --method <method>        HTTP method (default: GET)
+  -H, --header <name: value>   Request header (repeatable)
+  -d, --data <body>            Request body, sent as-is
+      --idempotent             Send an Idempotency-Key so POST/PATCH may be retried
+  -r, --retries <n>            Maximum retries after the first attempt (default: 3)
+  -b, --backoff <strategy>     ${BACKOFF_STRATEGIES.join(', ')} (default: constant)
+      --base-delay <ms>        Base delay between attempts (default: 1000)
+      --max-delay <ms>         Cap on the delay between attempts (default: 30000)
+  -t, --timeout <ms>           Per-attempt timeout (default: none)
+      --total-timeout <ms>     Deadline for the whole call (default: none)
+  -v, --verbose                Print a per-attempt timeline to stderr
+  -h, --help                   Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 HTTP error,
+  4 network error, 5 timeout, 6 retries exhausted, 130 interrupted`;
+
+/**
+ * Error for invalid command-line arguments
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parses a numeric flag
+ * 
+ * @param {string|undefined} value - Raw flag value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {number|undefined} The number, or undefined if the flag was not given
+ * @throws {UsageError} If the value is not a non-negative number
+ */
+function parseNumber(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    
+    const number = Number(value);
+    if (!value.trim() || Number.isNaN(number) || number < 0) {
+        throw new UsageError(`${flag} must be a non-negative number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parses "Name: value" header flags
+ * 
+ * @param {string[]} headers - Raw header flags
+ * @returns {Object} Header map
+ * @throws {UsageError} If a header has no name
+ */
+function parseHeaders(headers = []) {
+    const parsed = {};
+    
+    for (const header of headers) {
+        const colon = header.indexOf(':');
+        if (colon <= 0) {
+            throw new UsageError(`Header must look like "Name: value", got "${header}"`);
+        }
+        parsed[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+    }
+    
+    return parsed;
+}
+
+/**
+ * Turns command-line arguments into a URL and fetchWithRetry options
+ * 
+ * @param {string[]} argv - Arguments (without the node and script paths)
+ * @returns {Object} { help, verbose, url, options }
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseCliArgs(argv) {
+    let parsed;
+    
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                method: { type: 'string', short: 'X' },
+                header: { type: 'string', short: 'H', multiple: true },
+                data: { type: 'string', short: 'd' },
+                idempotent: { type: 'boolean' },
+                retries: { type: 'string', short: 'r' },
+                backoff: { type: 'string', short: 'b' },
+                'base-delay': { type: 'string' },
+                'max-delay': { type: 'string' },
+                timeout: { type: 'string', short: 't' },
+                'total-timeout': { type: 'string' },
+                verbose: { type: 'boolean', short: 'v' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    
+    const { values, positionals } = parsed;
+    
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError(positionals.length === 0 ? 'Missing URL' : `Expected one URL, got ${positionals.length}`);
+    }
+    try {
+        new URL(positionals[0]);
+    } catch {
+        throw new UsageError(`Invalid URL: ${positionals[0]}`);
+    }
+    
+    const options = {
+        method: values.method,
+        headers: parseHeaders(values.header),
+        body: values.data,
+        idempotencyKey: values.idempotent || false,
+        maxRetries: parseNumber(values.retries, '--retries'),
+        backoff: values.backoff,
+        baseDelay: parseNumber(values['base-delay'], '--base-delay'),
+        maxDelay: parseNumber(values['max-delay'], '--max-delay'),
+        timeout: parseNumber(values.timeout, '--timeout'),
+        totalTimeout: parseNumber(values['total-timeout'], '--total-timeout'),
+        responseType: 'text'
+    };
+    
+    // Unset flags fall back to the library defaults
+    for (const name of Object.keys(options)) {
+        if (options[name] === undefined) {
+            delete options[name];
+        }
+    }
+    
+    // Reuse the library's validation so the CLI accepts exactly what it does
+    try {
+        normalizeRetryOptions(options);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    
+    return { help: false, verbose: Boolean(values.verbose), url: positionals[0], options };
+}
+
+/**
+ * Works out how many retries fetchWithRetry actually allows for a request
+ * 
+ * POST and PATCH are never retried without an Idempotency-Key, whatever
+ * --retries says.
+ * 
+ * @param {Object} options - fetchWithRetry options from parseCliArgs()
+ * @returns {number} Retries allowed
+ */
+function getAllowedRetries(options) {
+    const { method, headers, idempotencyKey, maxRetries } = normalizeRetryOptions(options);
+    
+    if (!IDEMPOTENT_METHODS.has(method) && !idempotencyKey && !headers['idempotency-key']) {
+        return 0;
+    }
+    return maxRetries;
+}
+
+/**
+ * Maps a failure to its exit code
+ * 
+ * Exhausted retries get their own code, unless retries were disabled, in
+ * which case the single failure is reported as what it was.
+ * 
+ * @param {Error} error - The error fetchWithRetry threw
+ * @param {number} [maxRetries=3] - Retries that were allowed
+ * @returns {number} Exit code
+ */
+function getExitCode(error, maxRetries = 3) {
+    if (error instanceof RetryExhaustedError) {
+        return maxRetries > 0 ? EXIT_CODES.RETRIES_EXHAUSTED : getExitCode(error.cause, maxRetries);
+    }
+    if (error instanceof HttpError) {
+        return EXIT_CODES.HTTP_ERROR;
+    }
+    if (error instanceof TimeoutError) {
+        return EXIT_CODES.TIMEOUT;
+    }
+    if (error instanceof AbortError) {
+        return EXIT_CODES.ABORTED;
+    }
+    // fetch reports connection problems as TypeError('fetch failed') with a cause
+    if (isNetworkError(error)) {
+        return EXIT_CODES.NETWORK_ERROR;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+/**
+ * Describes a failed attempt in one line
+ * 
+ * @param {Error} error - The attempt's error
+ * @returns {string} Summary
+ */
+function describeError(error) {
+    if (error instanceof HttpError) {
+        return `HTTP ${error.status}${error.statusText ? ` ${error.statusText}` : ''}`;
+    }
+    const cause = error.cause && error.cause.message ? ` (${error.cause.message})` : '';
+    return `${error.name}: ${error.message}${cause}`;
+}
+
+/**
+ * Builds lifecycle hooks that print the per-attempt timeline
+ * 
+ * @param {Object} stderr - Stream to write to
+ * @param {string} method - HTTP method
+ * @param {string} url - The URL
+ * @param {Object} statuses - Filled with the response status per attempt by the transport
+ * @returns {Object} Hook options for fetchWithRetry
+ */
+function createTimeline(stderr, method, url, statuses) {
+    const line = (attempt, elapsed, text) =>
+        stderr.write(`#${attempt} +${Math.round(elapsed)}ms ${text}\n`);
+    
+    return {
+        onAttempt: ({ attempt, elapsed }) => line(attempt, elapsed, `→ ${method} ${url}`),
+        onRetry: ({ attempt, elapsed, error, delay }) =>
+            line(attempt, elapsed, `✗ ${describeError(error)}; retrying in ${delay}ms`),
+        onSuccess: ({ attempt, elapsed }) => line(attempt, elapsed, `✓ ${statuses[attempt] || 'OK'}`),
+        onGiveUp: ({ attempt, elapsed, error, reason }) => {
+            const lastError = error instanceof RetryExhaustedError ? error.cause : error;
+            line(attempt, elapsed, `✗ ${describeError(lastError)}; giving up (${reason})`);
+        }
+    };
+}
+
+/**
+ * Formats a response body for printing: JSON is pretty-printed, anything else is left as-is
+ * 
+ * @param {string} body - Response text
+ * @returns {string} Printable body
+ */
+function formatBody(body) {
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+        return body;
+    }
+}
+
+/**
+ * Runs the CLI
+ * 
+ * @param {string[]} argv - Arguments (without the node and script paths)
+ * @param {Object} [io] - Streams and hooks, replaceable for testing
+ * @param {Object} [io.stdout=process.stdout] - Receives the response body
+ * @param {Object} [io.stderr=process.stderr] - Receives errors and the timeline
+ * @param {Function} [io.fetch] - Transport passed to fetchWithRetry
+ * @param {AbortSignal} [io.signal] - Cancels the request
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, fetch: transport, signal } = {}) {
+    let args;
+    
+    try {
+        args = parseCliArgs(argv);
+    } catch (error) {
+        stderr.write(`Error: ${error.message}\nRun with --help for usage.\n`);
+        return EXIT_CODES.USAGE;
+    }
+    
+    if (args.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.OK;
+    }
+    
+    const { url, options, verbose } = args;
+    const statuses = {};
+    let attempt = 0;
+    
+    // Wraps the transport so the timeline can show each attempt's status
+    const baseTransport = transport || fetch;
+    const recordingTransport = async (target, init) => {
+        const current = ++attempt;
+        const response = await baseTransport(target, init);
+        statuses[current] = `${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+        return response;
+    };
+    
+    try {
+        const body = await fetchWithRetry(url, {
+            ...options,
+            ...(verbose ? createTimeline(stderr, (options.method || 'GET').toUpperCase(), url, statuses) : {}),
+            fetch: recordingTransport,
+            signal
+        });
+        stdout.write(`${formatBody(body)}\n`);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        stderr.write(`Error: ${error.message}\n`);
+        return getExitCode(error, getAllowedRetries(options));
+    }
+}
+
+// Run when executed directly; Ctrl-C cancels the request cleanly
+if (require.main === module) {
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    
+    runCli(process.argv.slice(2), { signal: controller.signal }).then(code => {
+        process.exitCode = code;
+    });
+}
+
+// Export for use in other modules that use the cli module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        runCli,
+        parseCliArgs,
+        getExitCode,
+        getAllowedRetries,
+        EXIT_CODES
+    };
+}
@@ -2,102 +2,4024 @@
  * Async Data Fetcher with Retry Logic
  * 
  * This module provides a function to fetch data from a URL with automatic
- * retry logic on failure. It waits 1 second between retries and throws an
- * error after all retries are exhausted.
+ * retry logic on failure. By default it waits 1 second between retries and
+ * throws an error after all retries are exhausted; the wait can be switched
+ * to a linear, exponential or jittered backoff through an options object.
  */
 
+/**
+ * Supported backoff strategies for the wait between attempts
+ */
+const BACKOFF_STRATEGIES = ['constant', 'linear', 'exponential', 'full-jitter', 'decorrelated-jitter'];
+
+/**
+ * Clock backed by the real Date.now() and timers
+ * 
+ * Anything that waits or reads the time takes a clock with the same shape,
+ * so tests can substitute createFakeClock() and run without real delays.
+ */
+const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: timer => clearTimeout(timer)
+});
+
+/**
+ * Default retry options (matches the original fixed 1 second delay behavior)
+ */
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    backoff: 'constant',
+    baseDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    maxElapsedTime: Infinity,
+    timeout: Infinity,
+    totalTimeout: Infinity,
+    signal: undefined,
+    shouldRetry: isRetryableError,
+    logger: undefined,
+    onAttempt: undefined,
+    onRetry: undefined,
+    onSuccess: undefined,
+    onGiveUp: undefined,
+    onHedge: undefined,
+    circuitBreaker: undefined,
+    retryBudget: undefined,
+    metrics: undefined,
+    rateLimiter: undefined,
+    rateLimitKey: getOriginKey,
+    dedupe: false,
+    cache: undefined,
+    fetch: undefined,
+    clock: systemClock,
+    random: Math.random,
+    method: 'GET',
+    headers: undefined,
+    body: undefined,
+    responseType: 'json',
+    idempotencyKey: false,
+    validate: undefined,
+    retryOnValidationError: true,
+    hedge: false
+};
+
+/**
+ * Methods that can be repeated without changing the result (RFC 9110);
+ * others are retried only with an Idempotency-Key
+ */
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE']);
+
+/**
+ * Methods whose concurrent calls may share one response (dedupe) or be cached
+ */
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Supported ways of reading the response body
+ */
+const RESPONSE_TYPES = ['json', 'text', 'arrayBuffer', 'response'];
+
+/**
+ * Lifecycle hooks that can be passed in the options object
+ */
+const LIFECYCLE_HOOKS = ['onAttempt', 'onRetry', 'onSuccess', 'onGiveUp', 'onHedge'];
+
+/**
+ * Log levels a logger may implement
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger that discards everything (the default)
+ */
+const silentLogger = Object.freeze({
+    debug() {},
+    info() {},
+    warn() {},
+    error() {}
+});
+
+/**
+ * HTTP status codes that are worth retrying in addition to all 5xx responses
+ */
+const RETRYABLE_STATUS_CODES = new Set([408, 429]);
+
+/**
+ * HTTP status codes whose Retry-After header is honored instead of the backoff
+ */
+const RETRY_AFTER_STATUS_CODES = new Set([429, 503]);
+
+/**
+ * Error thrown when a fetch is cancelled through its AbortSignal
+ */
+class AbortError extends Error {
+    constructor(message = 'The request was aborted', options) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Error thrown when an attempt or the whole call runs out of time
+ */
+class TimeoutError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} timeout - The timeout that was exceeded, in milliseconds
+     */
+    constructor(message, timeout) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Maximum number of characters of a response body kept on an HttpError
+ */
+const BODY_SNIPPET_LENGTH = 1024;
+
+/**
+ * Error thrown for a response with a non-2xx status
+ */
+class HttpError extends Error {
+    /**
+     * @param {Object} details - Response details
+     * @param {string} details.url - The requested URL
+     * @param {number} details.status - HTTP status code
+     * @param {string} [details.statusText] - HTTP status text
+     * @param {Object} [details.headers] - Response headers as a plain object (lower-case names)
+     * @param {string} [details.body] - The start of the response body
+     */
+    constructor({ url, status, statusText = '', headers = {}, body = '' }) {
+        super(`HTTP error! status: ${status}${statusText ? ` ${statusText}` : ''}`);
+        this.name = 'HttpError';
+        this.url = url;
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+    }
+    
+    /**
+     * Builds an HttpError from a fetch Response, reading a snippet of its body
+     * 
+     * @param {Response} response - The failed response
+     * @param {string} url - The requested URL
+     * @returns {Promise<HttpError>} The error
+     */
+    static async fromResponse(response, url) {
+        let body = '';
+        
+        try {
+            body = (await response.text()).slice(0, BODY_SNIPPET_LENGTH);
+        } catch (error) {
+            // The body is informational only; keep the status even if it can't be read
+        }
+        
+        return new HttpError({
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers),
+            body
+        });
+    }
+}
+
+/**
+ * Error thrown when every allowed attempt has failed
+ * 
+ * `attempts` holds one entry per failed attempt:
+ * `{ attempt, error, duration, delay }` where `duration` is how long the
+ * attempt took and `delay` is the wait that followed it (null for the last).
+ * The last attempt's error is kept in `cause`.
+ */
+class RetryExhaustedError extends Error {
+    /**
+     * @param {Object[]} attempts - History of failed attempts
+     * @param {string} [url] - The requested URL
+     */
+    constructor(attempts, url) {
+        const lastError = attempts[attempts.length - 1].error;
+        super(`Failed to fetch data after ${attempts.length} attempts. Last error: ${lastError.message}`,
+              { cause: lastError });
+        this.name = 'RetryExhaustedError';
+        this.url = url;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Error thrown when a successful response's body fails validation
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Object} details - Validation details
+     * @param {string} details.message - What was wrong
+     * @param {string} [details.path='$'] - Where in the body, e.g. '$.items[2].id'
+     * @param {string} [details.url] - The requested URL
+     * @param {Error} [details.cause] - Underlying error (e.g. a JSON SyntaxError)
+     */
+    constructor({ message, path = '$', url, cause }) {
+        super(`Response validation failed at ${path}: ${message}`, cause ? { cause } : undefined);
+        this.name = 'ValidationError';
+        this.path = path;
+        this.url = url;
+    }
+}
+
+/**
+ * Circuit breaker states
+ */
+const CIRCUIT_STATES = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+});
+
+/**
+ * Error thrown instead of sending a request while a host's circuit is open
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} key - Breaker key (the URL's origin)
+     * @param {number} retryAt - Timestamp (ms) at which probes are allowed again
+     * @param {number} [now] - Current time in milliseconds (default: Date.now())
+     */
+    constructor(key, retryAt, now = Date.now()) {
+        super(`Circuit open for ${key}. Try again in ${Math.max(0, Math.ceil((retryAt - now) / 1000))} seconds.`);
+        this.name = 'CircuitOpenError';
+        this.key = key;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Keys per-host state by origin: breakers, budgets, metrics, hedge
+ * latencies and the default throttling key
+ * 
+ * @param {string} url - Request URL
+ * @returns {string} The origin, or the URL itself if it cannot be parsed
+ */
+function getOriginKey(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Per-host circuit breaker
+ * 
+ * Tracks consecutive failed attempts per origin. After `failureThreshold`
+ * failures the circuit opens and every call to that origin fails fast with a
+ * CircuitOpenError. Once `cooldown` has passed the circuit goes half-open and
+ * lets up to `halfOpenMaxProbes` attempts through: a successful probe closes
+ * the circuit, a failed one opens it again for another cool-down.
+ * 
+ * One instance can be shared by any number of fetchWithRetry calls through
+ * the `circuitBreaker` option.
+ */
+class CircuitBreaker {
+    /**
+     * Creates a new CircuitBreaker instance
+     * 
+     * @param {Object} [options] - Breaker options
+     * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+     * @param {number} [options.cooldown=30000] - Milliseconds the circuit stays open before probing
+     * @param {number} [options.halfOpenMaxProbes=1] - Concurrent probe attempts allowed while half-open
+     * @param {Object} [options.clock] - Time source (default: the system clock)
+     */
+    constructor({ failureThreshold = 5, cooldown = 30000, halfOpenMaxProbes = 1, clock = systemClock } = {}) {
+        if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+            throw new TypeError('failureThreshold must be a positive integer');
+        }
+        if (typeof cooldown !== 'number' || Number.isNaN(cooldown) || cooldown < 0) {
+            throw new TypeError('cooldown must be a non-negative number');
+        }
+        if (!Number.isInteger(halfOpenMaxProbes) || halfOpenMaxProbes < 1) {
+            throw new TypeError('halfOpenMaxProbes must be a positive integer');
+        }
+        
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.halfOpenMaxProbes = halfOpenMaxProbes;
+        this.clock = clock;
+        
+        // Map of breaker state per origin
+        // Structure: { origin: { state, failures, openedAt, probes } }
+        this.circuits = new Map();
+    }
+    
+    /**
+     * Derives the breaker key for a URL (its origin)
+     * 
+     * @param {string} url - Request URL
+     * @returns {string} The origin, or the URL itself if it cannot be parsed
+     */
+    getKey(url) {
+        return getOriginKey(url);
+    }
+    
+    /**
+     * Returns the circuit for a key, moving it to half-open once the cool-down has passed
+     * 
+     * @param {string} key - Breaker key
+     * @returns {Object} Mutable circuit record
+     */
+    getCircuit(key) {
+        let circuit = this.circuits.get(key);
+        
+        if (!circuit) {
+            circuit = { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, probes: 0 };
+            this.circuits.set(key, circuit);
+        }
+        
+        if (circuit.state === CIRCUIT_STATES.OPEN && this.clock.now() - circuit.openedAt >= this.cooldown) {
+            circuit.state = CIRCUIT_STATES.HALF_OPEN;
+            circuit.probes = 0;
+        }
+        
+        return circuit;
+    }
+    
+    /**
+     * Asks permission to send an attempt
+     * 
+     * @param {string} key - Breaker key
+     * @throws {CircuitOpenError} If the circuit is open or all half-open probes are in flight
+     */
+    acquire(key) {
+        const circuit = this.getCircuit(key);
+        
+        if (circuit.state === CIRCUIT_STATES.OPEN) {
+            throw new CircuitOpenError(key, circuit.openedAt + this.cooldown, this.clock.now());
+        }
+        
+        if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+            if (circuit.probes >= this.halfOpenMaxProbes) {
+                throw new CircuitOpenError(key, this.clock.now(), this.clock.now());
+            }
+            circuit.probes++;
+        }
+    }
+    
+    /**
+     * Records a successful attempt, closing the circuit
+     * 
+     * @param {string} key - Breaker key
+     */
+    recordSuccess(key) {
+        const circuit = this.getCircuit(key);
+        circuit.state = CIRCUIT_STATES.CLOSED;
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        circuit.probes = 0;
+    }
+    
+    /**
+     * Records a failed attempt, opening the circuit when the threshold is reached
+     * or when a half-open probe fails
+     * 
+     * @param {string} key - Breaker key
+     */
+    recordFailure(key) {
+        const circuit = this.getCircuit(key);
+        circuit.failures++;
+        
+        if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= this.failureThreshold) {
+            circuit.state = CIRCUIT_STATES.OPEN;
+            circuit.openedAt = this.clock.now();
+            circuit.probes = 0;
+        }
+    }
+    
+    /**
+     * Releases an attempt that ended without telling us anything about the
+     * host (for example, the caller aborted it)
+     * 
+     * @param {string} key - Breaker key
+     */
+    release(key) {
+        const circuit = this.getCircuit(key);
+        
+        if (circuit.state === CIRCUIT_STATES.HALF_OPEN && circuit.probes > 0) {
+            circuit.probes--;
+        }
+    }
+    
+    /**
+     * Gets the breaker state for a host
+     * 
+     * @param {string} keyOrUrl - Origin or any URL on that origin
+     * @returns {Object} { key, state, failures, openedAt, retryAt }
+     */
+    getState(keyOrUrl) {
+        const key = this.getKey(keyOrUrl);
+        const circuit = this.circuits.get(key) ? this.getCircuit(key) : null;
+        
+        if (!circuit) {
+            return { key, state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, retryAt: null };
+        }
+        
+        return {
+            key,
+            state: circuit.state,
+            failures: circuit.failures,
+            openedAt: circuit.openedAt,
+            retryAt: circuit.state === CIRCUIT_STATES.OPEN ? circuit.openedAt + this.cooldown : null
+        };
+    }
+    
+    /**
+     * Gets the breaker state for every host seen so far
+     * 
+     * @returns {Object[]} One getState() entry per host
+     */
+    getStates() {
+        return Array.from(this.circuits.keys(), key => this.getState(key));
+    }
+    
+    /**
+     * Resets the breaker for a host, or for every host if no key is given
+     * 
+     * @param {string} [keyOrUrl] - Origin or any URL on that origin
+     */
+    reset(keyOrUrl) {
+        if (keyOrUrl) {
+            this.circuits.delete(this.getKey(keyOrUrl));
+        } else {
+            this.circuits.clear();
+        }
+    }
+}
+
+/**
+ * Scopes a retry budget can be shared at
+ */
+const RETRY_BUDGET_SCOPES = ['global', 'host'];
+
+/**
+ * Shared retry budget that stops retry storms
+ * 
+ * A token bucket: every successful call deposits `ratio` tokens, every
+ * retry withdraws one, and the bucket refills at `minRetriesPerSecond` so
+ * a quiet client can still retry. The bucket holds at most `capacity`
+ * tokens. When it is empty, calls fail with their original error instead
+ * of retrying.
+ * 
+ * One instance can be shared by any number of fetchWithRetry calls through
+ * the `retryBudget` option. With scope 'global' they share one bucket, with
+ * scope 'host' each origin has its own.
+ */
+class RetryBudget {
+    /**
+     * Creates a new RetryBudget instance
+     * 
+     * @param {Object} [options] - Budget options
+     * @param {number} [options.ratio=0.1] - Tokens each successful call adds (0.1 = one retry per 10 successes)
+     * @param {number} [options.minRetriesPerSecond=1] - Tokens added per second of elapsed time
+     * @param {number} [options.window=10000] - Milliseconds of refill a full bucket holds; sets the default capacity
+     * @param {number} [options.capacity] - Most tokens the bucket holds
+     *   (default: minRetriesPerSecond × window in seconds, at least 1)
+     * @param {string} [options.scope='global'] - 'global' or 'host'
+     * @param {Object} [options.clock] - Time source (default: the system clock)
+     */
+    constructor({ ratio = 0.1, minRetriesPerSecond = 1, window = 10000, capacity, scope = 'global', clock = systemClock } = {}) {
+        if (typeof ratio !== 'number' || Number.isNaN(ratio) || ratio < 0) {
+            throw new TypeError('ratio must be a non-negative number');
+        }
+        if (typeof minRetriesPerSecond !== 'number' || Number.isNaN(minRetriesPerSecond) || minRetriesPerSecond < 0) {
+            throw new TypeError('minRetriesPerSecond must be a non-negative number');
+        }
+        if (typeof window !== 'number' || !Number.isFinite(window) || window <= 0) {
+            throw new TypeError('window must be a positive number');
+        }
+        if (capacity !== undefined && (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity < 1)) {
+            throw new TypeError('capacity must be a number of at least 1');
+        }
+        if (!RETRY_BUDGET_SCOPES.includes(scope)) {
+            throw new TypeError(`scope must be one of: ${RETRY_BUDGET_SCOPES.join(', ')}`);
+        }
+        
+        this.ratio = ratio;
+        this.minRetriesPerSecond = minRetriesPerSecond;
+        this.window = window;
+        this.capacity = capacity !== undefined ? capacity : Math.max(1, minRetriesPerSecond * (window / 1000));
+        this.scope = scope;
+        this.clock = clock;
+        
+        // Map of buckets per key; buckets start full
+        // Structure: { key: { tokens, updatedAt, successes, retries, rejected } }
+        this.buckets = new Map();
+    }
+    
+    /**
+     * Derives the budget key for a URL
+     * 
+     * @param {string} url - Request URL (or a key returned earlier)
+     * @returns {string} 'global', or the URL's origin for scope 'host'
+     */
+    getKey(url) {
+        if (this.scope === 'global') {
+            return 'global';
+        }
+        
+        return getOriginKey(url);
+    }
+    
+    /**
+     * Returns the bucket for a key with the time since its last use refilled
+     * 
+     * @param {string} key - Budget key
+     * @returns {Object} Mutable bucket record
+     */
+    getBucket(key) {
+        const now = this.clock.now();
+        let bucket = this.buckets.get(key);
+        
+        if (!bucket) {
+            bucket = { tokens: this.capacity, updatedAt: now, successes: 0, retries: 0, rejected: 0 };
+            this.buckets.set(key, bucket);
+        }
+        
+        const refill = (now - bucket.updatedAt) / 1000 * this.minRetriesPerSecond;
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + refill);
+        bucket.updatedAt = now;
+        
+        return bucket;
+    }
+    
+    /**
+     * Records a successful call, adding `ratio` tokens
+     * 
+     * @param {string} key - Budget key
+     */
+    recordSuccess(key) {
+        const bucket = this.getBucket(key);
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + this.ratio);
+        bucket.successes++;
+    }
+    
+    /**
+     * Takes a token for a retry if one is available
+     * 
+     * @param {string} key - Budget key
+     * @returns {boolean} True if the retry may go ahead
+     */
+    tryAcquire(key) {
+        const bucket = this.getBucket(key);
+        
+        if (bucket.tokens < 1) {
+            bucket.rejected++;
+            return false;
+        }
+        
+        bucket.tokens--;
+        bucket.retries++;
+        return true;
+    }
+    
+    /**
+     * Gets the budget counters for a key
+     * 
+     * @param {string} [keyOrUrl] - Key or any URL in its scope (not needed for scope 'global')
+     * @returns {Object} { key, available, successes, retries, rejected }; available is the
+     *   whole tokens in the bucket, the others count every call since the last reset
+     */
+    getStats(keyOrUrl) {
+        const key = this.getKey(keyOrUrl);
+        const bucket = this.buckets.has(key)
+            ? this.getBucket(key)
+            : { tokens: this.capacity, successes: 0, retries: 0, rejected: 0 };
+        
+        return {
+            key,
+            available: Math.floor(bucket.tokens),
+            successes: bucket.successes,
+            retries: bucket.retries,
+            rejected: bucket.rejected
+        };
+    }
+    
+    /**
+     * Gets the budget counters for every key seen so far
+     * 
+     * @returns {Object[]} One getStats() entry per key
+     */
+    getAllStats() {
+        return Array.from(this.buckets.keys(), key => this.getStats(key));
+    }
+    
+    /**
+     * Resets the budget for a key, or every key if none is given
+     * 
+     * @param {string} [keyOrUrl] - Key or any URL in its scope
+     */
+    reset(keyOrUrl) {
+        if (keyOrUrl) {
+            this.buckets.delete(this.getKey(keyOrUrl));
+        } else {
+            this.buckets.clear();
+        }
+    }
+}
+
+/**
+ * Default latency histogram bucket bounds, in milliseconds
+ */
+const DEFAULT_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Collects per-host counters and latency histograms for fetch calls
+ * 
+ * Every call records into the shared default collector unless it passes its
+ * own collector (or `false`) through the `metrics` option.
+ */
+class MetricsCollector {
+    /**
+     * Creates a new MetricsCollector instance
+     * 
+     * @param {Object} [options] - Collector options
+     * @param {number[]} [options.buckets] - Histogram upper bounds in milliseconds, ascending
+     */
+    constructor({ buckets = DEFAULT_LATENCY_BUCKETS } = {}) {
+        if (!Array.isArray(buckets) || buckets.length === 0 ||
+            buckets.some((bound, index) => typeof bound !== 'number' || !Number.isFinite(bound) ||
+                (index > 0 && bound <= buckets[index - 1]))) {
+            throw new TypeError('buckets must be a non-empty ascending array of numbers');
+        }
+        
+        this.buckets = [...buckets];
+        
+        // Map of metrics per origin
+        this.hosts = new Map();
+    }
+    
+    /**
+     * Derives the host label for a URL (its origin)
+     * 
+     * @param {string} url - Request URL
+     * @returns {string} The origin, or the URL itself if it cannot be parsed
+     */
+    getKey(url) {
+        return getOriginKey(url);
+    }
+    
+    /**
+     * Returns the metrics record for a host, creating it on first use
+     * 
+     * @param {string} key - Host key
+     * @returns {Object} Mutable metrics record
+     */
+    getHost(key) {
+        if (!this.hosts.has(key)) {
+            const histogram = () => ({ counts: new Array(this.buckets.length + 1).fill(0), count: 0, sum: 0 });
+            this.hosts.set(key, {
+                requests: 0,
+                successes: 0,
+                attempts: 0,
+                retries: 0,
+                giveUps: {},
+                statusClasses: {},
+                attemptDuration: histogram(),
+                requestDuration: histogram()
+            });
+        }
+        return this.hosts.get(key);
+    }
+    
+    /**
+     * Adds a latency to a histogram
+     * 
+     * @param {Object} histogram - Histogram record
+     * @param {number} duration - Milliseconds
+     */
+    observe(histogram, duration) {
+        let index = this.buckets.findIndex(bound => duration <= bound);
+        if (index === -1) {
+            index = this.buckets.length;
+        }
+        histogram.counts[index]++;
+        histogram.count++;
+        histogram.sum += duration;
+    }
+    
+    /**
+     * Records the start of a call
+     * 
+     * @param {string} key - Host key
+     */
+    recordRequest(key) {
+        this.getHost(key).requests++;
+    }
+    
+    /**
+     * Records a finished attempt
+     * 
+     * @param {string} key - Host key
+     * @param {number} duration - Milliseconds
+     * @param {number} [status] - HTTP status, if a response arrived
+     * @param {boolean} [failed=false] - Whether the attempt failed
+     */
+    recordAttempt(key, duration, status, failed = false) {
+        const host = this.getHost(key);
+        
+        // Failures without a response (network errors, timeouts) are their own class
+        const statusClass = status ? `${Math.floor(status / 100)}xx` : (failed ? 'error' : null);
+        if (statusClass) {
+            host.statusClasses[statusClass] = (host.statusClasses[statusClass] || 0) + 1;
+        }
+        
+        host.attempts++;
+        this.observe(host.attemptDuration, duration);
+    }
+    
+    /**
+     * Records a scheduled retry
+     * 
+     * @param {string} key - Host key
+     */
+    recordRetry(key) {
+        this.getHost(key).retries++;
+    }
+    
+    /**
+     * Records the end of a call
+     * 
+     * @param {string} key - Host key
+     * @param {number} duration - Milliseconds for the whole call
+     * @param {string|null} giveUpReason - Why the call failed, or null on success
+     */
+    recordResult(key, duration, giveUpReason) {
+        const host = this.getHost(key);
+        
+        if (giveUpReason) {
+            host.giveUps[giveUpReason] = (host.giveUps[giveUpReason] || 0) + 1;
+        } else {
+            host.successes++;
+        }
+        this.observe(host.requestDuration, duration);
+    }
+    
+    /**
+     * Takes a snapshot of every host's metrics
+     * 
+     * Histogram buckets are cumulative, keyed by their upper bound in
+     * milliseconds plus '+Inf', as in Prometheus.
+     * 
+     * @returns {Object} { hosts: { [origin]: { requests, successes, attempts, retries,
+     *   giveUps, statusClasses, attemptDuration, requestDuration } } }
+     */
+    getMetrics() {
+        const snapshotHistogram = ({ counts, count, sum }) => {
+            const buckets = {};
+            let cumulative = 0;
+            this.buckets.forEach((bound, index) => {
+                cumulative += counts[index];
+                buckets[bound] = cumulative;
+            });
+            buckets['+Inf'] = count;
+            return { buckets, count, sum };
+        };
+        
+        const hosts = {};
+        for (const [key, host] of this.hosts) {
+            hosts[key] = {
+                requests: host.requests,
+                successes: host.successes,
+                attempts: host.attempts,
+                retries: host.retries,
+                giveUps: { ...host.giveUps },
+                statusClasses: { ...host.statusClasses },
+                attemptDuration: snapshotHistogram(host.attemptDuration),
+                requestDuration: snapshotHistogram(host.requestDuration)
+            };
+        }
+        
+        return { hosts };
+    }
+    
+    /**
+     * Serializes the metrics in the Prometheus text exposition format
+     * 
+     * Durations are exported in seconds, following Prometheus conventions.
+     * Serve the result with Content-Type `text/plain; version=0.0.4`.
+     * 
+     * @returns {string} The exposition text
+     */
+    toPrometheus() {
+        const { hosts } = this.getMetrics();
+        const entries = Object.entries(hosts);
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        const labels = pairs => `{${Object.entries(pairs).map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+        const lines = [];
+        
+        const counter = (name, help, select) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+            for (const [host, metrics] of entries) {
+                lines.push(`${name}${labels({ host })} ${select(metrics)}`);
+            }
+        };
+        
+        const labelledCounter = (name, help, label, select) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+            for (const [host, metrics] of entries) {
+                for (const [value, count] of Object.entries(select(metrics))) {
+                    lines.push(`${name}${labels({ host, [label]: value })} ${count}`);
+                }
+            }
+        };
+        
+        const histogram = (name, help, select) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+            for (const [host, metrics] of entries) {
+                const { buckets, count, sum } = select(metrics);
+                for (const [bound, cumulative] of Object.entries(buckets)) {
+                    const le = bound === '+Inf' ? '+Inf' : String(Number(bound) / 1000);
+                    lines.push(`${name}_bucket${labels({ host, le })} ${cumulative}`);
+                }
+                lines.push(`${name}_sum${labels({ host })} ${sum / 1000}`);
+                lines.push(`${name}_count${labels({ host })} ${count}`);
+            }
+        };
+        
+        counter('fetcher_requests_total', 'Calls started.', m => m.requests);
+        counter('fetcher_successes_total', 'Calls that succeeded.', m => m.successes);
+        counter('fetcher_attempts_total', 'Attempts sent.', m => m.attempts);
+        counter('fetcher_retries_total', 'Retries scheduled.', m => m.retries);
+        labelledCounter('fetcher_give_ups_total', 'Calls that failed, by reason.', 'reason', m => m.giveUps);
+        labelledCounter('fetcher_responses_total', 'Attempt outcomes by status class (error = no response).',
+            'status_class', m => m.statusClasses);
+        histogram('fetcher_attempt_duration_seconds', 'Duration of each attempt.', m => m.attemptDuration);
+        histogram('fetcher_request_duration_seconds', 'Duration of each call, including retries.', m => m.requestDuration);
+        
+        return `${lines.join('\n')}\n`;
+    }
+    
+    /**
+     * Forgets every metric
+     */
+    reset() {
+        this.hosts.clear();
+    }
+}
+
+/**
+ * Collector used by calls that don't pass their own
+ */
+const defaultMetrics = new MetricsCollector();
+
+/**
+ * Takes a snapshot of the default collector's metrics
+ * 
+ * @returns {Object} See MetricsCollector#getMetrics
+ */
+function getMetrics() {
+    return defaultMetrics.getMetrics();
+}
+
+/**
+ * Serializes the default collector's metrics for a Prometheus /metrics endpoint
+ * 
+ * @returns {string} Prometheus text exposition format
+ */
+function getPrometheusMetrics() {
+    return defaultMetrics.toPrometheus();
+}
+
 /**
  * Delays execution for a specified number of milliseconds
  * @param {number} ms - Milliseconds to wait
- * @returns {Promise} Promise that resolves after the delay
+ * @param {AbortSignal} [signal] - Signal that interrupts the wait
+ * @param {Object} [clock] - Clock whose timers to use (default: the system clock)
+ * @returns {Promise} Promise that resolves after the delay, or rejects with
+ *   the signal's reason if it is aborted first
+ */
+function delay(ms, signal, clock = systemClock) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clock.clearTimeout(timer);
+            reject(signal.reason);
+        };
+        
+        const timer = clock.setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Creates an AbortSignal that aborts when a parent signal aborts or when a
+ * timeout elapses, whichever comes first
+ * 
+ * @param {AbortSignal} [parent] - Signal to follow
+ * @param {Object} scope - Scope options
+ * @param {number} scope.timeout - Timeout in milliseconds (Infinity for none)
+ * @param {Function} scope.createTimeoutError - Builds the abort reason for the timeout
+ * @param {Function} [scope.mapParentReason] - Maps the parent's abort reason
+ * @param {Object} [scope.clock] - Clock whose timers to use (default: the system clock)
+ * @returns {Object} { signal, cleanup } - call cleanup() once the signal is no longer needed
+ */
+function createScopedSignal(parent, { timeout, createTimeoutError, mapParentReason = reason => reason, clock = systemClock }) {
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(mapParentReason(parent.reason));
+    let timer = null;
+    
+    if (parent) {
+        if (parent.aborted) {
+            onParentAbort();
+        } else {
+            parent.addEventListener('abort', onParentAbort, { once: true });
+        }
+    }
+    
+    if (Number.isFinite(timeout) && !controller.signal.aborted) {
+        timer = clock.setTimeout(() => controller.abort(createTimeoutError()), timeout);
+    }
+    
+    return {
+        signal: controller.signal,
+        cleanup() {
+            clock.clearTimeout(timer);
+            if (parent) {
+                parent.removeEventListener('abort', onParentAbort);
+            }
+        }
+    };
+}
+
+/**
+ * Settles with the promise, or rejects with the signal's reason if the
+ * signal aborts first (for operations that ignore their signal)
+ * 
+ * @param {Promise} promise - Promise to race
+ * @param {AbortSignal} signal - Signal to race against
+ * @returns {Promise<any>} The promise's result
+ */
+function raceSignal(promise, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Merges user-supplied retry options with the defaults and validates them
+ * 
+ * Accepts either the legacy `maxRetries` number or an options object so that
+ * existing `(url, maxRetries)` calls keep working.
+ * 
+ * @param {number|Object} [options] - maxRetries number or options object
+ * @returns {Object} Complete, validated retry options
+ * @throws {TypeError} If any option is invalid
+ */
+function normalizeRetryOptions(options) {
+    let merged;
+    
+    if (options === undefined) {
+        merged = { ...DEFAULT_RETRY_OPTIONS };
+    } else if (typeof options === 'number') {
+        merged = { ...DEFAULT_RETRY_OPTIONS, maxRetries: options };
+    } else if (options !== null && typeof options === 'object') {
+        merged = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    } else {
+        throw new TypeError('options must be a number (maxRetries) or an options object');
+    }
+    
+    if (typeof merged.maxRetries !== 'number' || Number.isNaN(merged.maxRetries) || merged.maxRetries < 0) {
+        throw new TypeError('maxRetries must be a non-negative number');
+    }
+    
+    if (!BACKOFF_STRATEGIES.includes(merged.backoff)) {
+        throw new TypeError(`backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`);
+    }
+    
+    for (const name of ['baseDelay', 'maxDelay', 'maxElapsedTime', 'timeout', 'totalTimeout']) {
+        if (typeof merged[name] !== 'number' || Number.isNaN(merged[name]) || merged[name] < 0) {
+            throw new TypeError(`${name} must be a non-negative number`);
+        }
+    }
+    
+    if (typeof merged.factor !== 'number' || !(merged.factor >= 1)) {
+        throw new TypeError('factor must be a number greater than or equal to 1');
+    }
+    
+    if (typeof merged.shouldRetry !== 'function') {
+        throw new TypeError('shouldRetry must be a function');
+    }
+    
+    for (const hook of LIFECYCLE_HOOKS) {
+        if (merged[hook] !== undefined && typeof merged[hook] !== 'function') {
+            throw new TypeError(`${hook} must be a function`);
+        }
+    }
+    
+    merged.logger = normalizeLogger(merged.logger);
+    
+    merged.cache = normalizeCacheOptions(merged.cache);
+    merged.hedge = normalizeHedgeOptions(merged.hedge);
+    
+    if (merged.fetch !== undefined && typeof merged.fetch !== 'function') {
+        throw new TypeError('fetch must be a fetch-compatible function');
+    }
+    
+    const { clock } = merged;
+    if (!clock || ['now', 'setTimeout', 'clearTimeout'].some(method => typeof clock[method] !== 'function')) {
+        throw new TypeError('clock must implement now, setTimeout and clearTimeout');
+    }
+    
+    if (typeof merged.random !== 'function') {
+        throw new TypeError('random must be a function returning a number in [0, 1)');
+    }
+    
+    if (typeof merged.method !== 'string' || !merged.method.trim()) {
+        throw new TypeError('method must be a non-empty string');
+    }
+    merged.method = merged.method.trim().toUpperCase();
+    
+    if (!RESPONSE_TYPES.includes(merged.responseType)) {
+        throw new TypeError(`responseType must be one of: ${RESPONSE_TYPES.join(', ')}`);
+    }
+    
+    if (typeof merged.idempotencyKey !== 'boolean' &&
+        (typeof merged.idempotencyKey !== 'string' || !merged.idempotencyKey)) {
+        throw new TypeError('idempotencyKey must be a boolean or a non-empty string');
+    }
+    
+    // Header names are case-insensitive; keep them lower-cased in a plain object
+    merged.headers = Object.fromEntries(new Headers(merged.headers || {}));
+    merged.body = serializeBody(merged.body, merged.headers);
+    
+    if (merged.body !== undefined && (merged.method === 'GET' || merged.method === 'HEAD')) {
+        throw new TypeError(`${merged.method} requests cannot have a body`);
+    }
+    
+    if (merged.validate !== undefined && typeof merged.validate !== 'function' &&
+        (typeof merged.validate !== 'object' || merged.validate === null)) {
+        throw new TypeError('validate must be a predicate function or a schema object');
+    }
+    
+    if (typeof merged.retryOnValidationError !== 'boolean') {
+        throw new TypeError('retryOnValidationError must be a boolean');
+    }
+    
+    if (typeof merged.dedupe !== 'boolean') {
+        throw new TypeError('dedupe must be a boolean');
+    }
+    
+    if (merged.circuitBreaker !== undefined && !(merged.circuitBreaker instanceof CircuitBreaker)) {
+        throw new TypeError('circuitBreaker must be a CircuitBreaker instance');
+    }
+    
+    if (merged.retryBudget !== undefined && !(merged.retryBudget instanceof RetryBudget)) {
+        throw new TypeError('retryBudget must be a RetryBudget instance');
+    }
+    
+    if (merged.rateLimiter !== undefined && (merged.rateLimiter === null ||
+        typeof merged.rateLimiter.isAllowed !== 'function' || typeof merged.rateLimiter.getStatus !== 'function')) {
+        throw new TypeError('rateLimiter must implement isAllowed and getStatus (e.g. a RateLimiter)');
+    }
+    
+    if (typeof merged.rateLimitKey !== 'function') {
+        throw new TypeError('rateLimitKey must be a function');
+    }
+    
+    // Metrics are on by default; false turns them off
+    if (merged.metrics === undefined) {
+        merged.metrics = defaultMetrics;
+    } else if (merged.metrics === false) {
+        merged.metrics = null;
+    } else if (!(merged.metrics instanceof MetricsCollector)) {
+        throw new TypeError('metrics must be false or a MetricsCollector instance');
+    }
+    
+    if (merged.signal !== undefined &&
+        (merged.signal === null || typeof merged.signal.addEventListener !== 'function')) {
+        throw new TypeError('signal must be an AbortSignal');
+    }
+    
+    return merged;
+}
+
+/**
+ * Prepares a request body for fetch
+ * 
+ * Strings, URLSearchParams (form-urlencoded), FormData, Blobs and binary
+ * data are sent as-is; plain objects and arrays are sent as JSON, setting
+ * Content-Type unless the caller already did.
+ * 
+ * @param {any} body - Body option
+ * @param {Object} headers - Lower-cased request headers (may be updated)
+ * @returns {any} Body to pass to fetch, or undefined for none
+ */
+function serializeBody(body, headers) {
+    if (body === undefined || body === null) {
+        return undefined;
+    }
+    
+    const passThrough = typeof body === 'string' ||
+        body instanceof URLSearchParams ||
+        body instanceof ArrayBuffer ||
+        ArrayBuffer.isView(body) ||
+        (typeof FormData !== 'undefined' && body instanceof FormData) ||
+        (typeof Blob !== 'undefined' && body instanceof Blob);
+    
+    if (passThrough) {
+        return body;
+    }
+    
+    if (!headers['content-type']) {
+        headers['content-type'] = 'application/json';
+    }
+    return JSON.stringify(body);
+}
+
+/**
+ * Generates a unique Idempotency-Key value
+ * 
+ * @returns {string} A random UUID
+ */
+function generateIdempotencyKey() {
+    if (typeof globalThis.crypto !== 'undefined' && typeof globalThis.crypto.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return require('crypto').randomUUID();
+}
+
+/**
+ * Fills in missing log levels so any partial logger (or `console`) can be used
+ * 
+ * @param {Object} [logger] - Object with some of debug/info/warn/error
+ * @returns {Object} Logger implementing every level
+ * @throws {TypeError} If logger is not an object
+ */
+function normalizeLogger(logger) {
+    if (logger === undefined || logger === null) {
+        return silentLogger;
+    }
+    
+    if (typeof logger !== 'object') {
+        throw new TypeError('logger must be an object with debug/info/warn/error methods');
+    }
+    
+    const normalized = {};
+    for (const level of LOG_LEVELS) {
+        normalized[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : silentLogger[level];
+    }
+    return normalized;
+}
+
+/**
+ * Invokes a lifecycle hook if one was provided
+ * 
+ * A throwing hook is logged and otherwise ignored, so telemetry bugs never
+ * change the outcome of a fetch.
+ * 
+ * @param {Object} options - Normalized retry options
+ * @param {string} name - Hook name (e.g. 'onRetry')
+ * @param {Object} event - Event passed to the hook
+ */
+function callHook(options, name, event) {
+    if (!options[name]) {
+        return;
+    }
+    
+    try {
+        options[name](event);
+    } catch (error) {
+        options.logger.error(`${name} hook threw: ${error.message}`);
+    }
+}
+
+/**
+ * Computes how long to wait before the given retry
+ * 
+ * - constant: always `baseDelay`
+ * - linear: `baseDelay * retry`
+ * - exponential: `baseDelay * factor^(retry - 1)`
+ * - full-jitter: random value between 0 and the exponential delay
+ * - decorrelated-jitter: random value between `baseDelay` and 3x the previous delay
+ * 
+ * Every strategy is capped at `maxDelay`.
+ * 
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} options - Normalized retry options
+ * @param {number} [previousDelay] - Previous wait, used by decorrelated-jitter
+ * @param {Function} [random] - Random number source in [0, 1) (default: Math.random)
+ * @returns {number} Milliseconds to wait
+ */
+function computeBackoff(retry, options, previousDelay = options.baseDelay, random = Math.random) {
+    const { backoff, baseDelay, maxDelay, factor } = options;
+    const exponential = baseDelay * Math.pow(factor, retry - 1);
+    let waitMs;
+    
+    switch (backoff) {
+        case 'linear':
+            waitMs = baseDelay * retry;
+            break;
+        case 'exponential':
+            waitMs = exponential;
+            break;
+        case 'full-jitter':
+            waitMs = random() * Math.min(maxDelay, exponential);
+            break;
+        case 'decorrelated-jitter': {
+            const upper = Math.max(baseDelay, previousDelay * 3);
+            waitMs = baseDelay + random() * (upper - baseDelay);
+            break;
+        }
+        default:
+            waitMs = baseDelay;
+    }
+    
+    return Math.round(Math.min(maxDelay, waitMs));
+}
+
+/**
+ * Tells transport failures apart from other errors
+ * 
+ * fetch reports a failed connection as TypeError('fetch failed') and a body
+ * cut off mid-read as TypeError('terminated'), both with the underlying
+ * socket error as `cause`. Other TypeErrors, such as an unparseable URL,
+ * are bugs in the request and carry no such cause.
+ * 
+ * @param {Error} error - The error thrown by the attempt
+ * @returns {boolean} True if the error is a network failure
+ */
+function isNetworkError(error) {
+    return error instanceof TypeError &&
+        (error.message === 'fetch failed' || error.message === 'terminated') &&
+        error.cause !== undefined;
+}
+
+/**
+ * Default retry classifier
+ * 
+ * Retries network failures, attempt timeouts and responses with status 408,
+ * 429 or 5xx. Anything else - a 404, a 400, a body that fails to parse on a
+ * successful response, or an invalid URL - can never succeed on retry.
+ * 
+ * @param {Error} error - The error thrown by the attempt
+ * @param {Response} [response] - The response, if one was received
+ * @param {number} [attempt] - Attempt number that failed (1-based)
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableError(error, response) {
+    if (response) {
+        return RETRYABLE_STATUS_CODES.has(response.status) || response.status >= 500;
+    }
+    
+    return isNetworkError(error) || error instanceof TimeoutError;
+}
+
+/**
+ * Parses a Retry-After header value into milliseconds
+ * 
+ * @param {string|null} value - Header value, either delay-seconds or an HTTP-date
+ * @param {number} [now] - Current time in milliseconds (default: Date.now())
+ * @returns {number|null} Milliseconds to wait, or null if the value is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    
+    const trimmed = value.trim();
+    
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) * 1000;
+    }
+    
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Returns the server-requested wait for a 429/503 response, if any
+ * 
+ * @param {Response} [response] - The failed response
+ * @param {number} [now] - Current time in milliseconds (default: Date.now())
+ * @returns {number|null} Milliseconds to wait, or null to use the normal backoff
+ */
+function getRetryAfterDelay(response, now = Date.now()) {
+    if (!response || !RETRY_AFTER_STATUS_CODES.has(response.status) || !response.headers) {
+        return null;
+    }
+    
+    return parseRetryAfter(response.headers.get('retry-after'), now);
+}
+
+/**
+ * Server quotas learned from rate-limit headers, per limiter and key
+ * Structure: WeakMap { limiter: Map { key: { remaining, resetAt } } }
+ */
+const serverQuotas = new WeakMap();
+
+/**
+ * Reads a server's remaining quota from its rate-limit headers
+ * 
+ * Understands `X-RateLimit-Remaining`/`X-RateLimit-Reset` and the IETF
+ * `RateLimit-Remaining`/`RateLimit-Reset`. A reset above 10^9 is taken as a
+ * Unix timestamp in seconds, anything else as seconds from now.
+ * 
+ * @param {Response} response - The response
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} { remaining, resetAt } or null if the headers are missing
+ */
+function parseRateLimitHeaders(response, now) {
+    if (!response || !response.headers) {
+        return null;
+    }
+    
+    const { headers } = response;
+    const remaining = headers.get('x-ratelimit-remaining') ?? headers.get('ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset') ?? headers.get('ratelimit-reset');
+    
+    if (!/^\d+$/.test((remaining || '').trim()) || !/^\d+(\.\d+)?$/.test((reset || '').trim())) {
+        return null;
+    }
+    
+    const resetValue = Number(reset);
+    const resetAt = resetValue > 1e9 ? resetValue * 1000 : now + resetValue * 1000;
+    
+    return { remaining: Number(remaining), resetAt };
+}
+
+/**
+ * Waits until the rate limiter (and any quota learned from the server)
+ * allows another request for a key, then takes the slot
+ * 
+ * @param {Object} limiter - RateLimiter-compatible object (isAllowed, getStatus)
+ * @param {string} key - Throttling key
+ * @param {AbortSignal} signal - Stops waiting when aborted
+ * @param {Object} clock - Time source
+ * @param {Object} logger - Logger
+ * @returns {Promise<number>} Milliseconds spent waiting
+ */
+async function waitForRateLimitSlot(limiter, key, signal, clock, logger) {
+    const quotas = serverQuotas.get(limiter);
+    const start = clock.now();
+    
+    while (true) {
+        const quota = quotas && quotas.get(key);
+        
+        if (quota && quota.resetAt <= clock.now()) {
+            quotas.delete(key);
+        } else if (quota && quota.remaining <= 0) {
+            const waitMs = quota.resetAt - clock.now();
+            logger.debug(`Server quota for ${key} used up, waiting ${waitMs}ms`);
+            await delay(waitMs, signal, clock);
+            continue;
+        }
+        
+        if (await limiter.isAllowed(key)) {
+            if (quota && quota.resetAt > clock.now()) {
+                quota.remaining--;
+            }
+            return clock.now() - start;
+        }
+        
+        // getStatus().resetAt is when the oldest request in the window expires.
+        // A limiter on another clock can report a reset that looks already past
+        // or too far off; its own countdown, resetInSeconds, bounds the wait then
+        const status = await limiter.getStatus(key);
+        let waitMs = Date.parse(status.resetAt) - clock.now();
+        if (Number.isFinite(status.resetInSeconds) && !(waitMs > 0 && waitMs <= status.resetInSeconds * 1000)) {
+            waitMs = status.resetInSeconds * 1000;
+        }
+        waitMs = Math.max(1, waitMs);
+        logger.debug(`Rate limit for ${key} reached, waiting ${waitMs}ms for a slot`);
+        await delay(waitMs, signal, clock);
+    }
+}
+
+/**
+ * Lowers the local budget for a key when the server reports less quota
+ * left than the limiter expects
+ * 
+ * @param {Object} limiter - RateLimiter-compatible object
+ * @param {string} key - Throttling key
+ * @param {Response} response - The response carrying rate-limit headers
+ * @param {Object} clock - Time source
+ * @param {Object} logger - Logger
+ */
+async function adaptToServerQuota(limiter, key, response, clock, logger) {
+    const serverQuota = parseRateLimitHeaders(response, clock.now());
+    if (!serverQuota) {
+        return;
+    }
+    
+    if (!serverQuotas.has(limiter)) {
+        serverQuotas.set(limiter, new Map());
+    }
+    const quotas = serverQuotas.get(limiter);
+    
+    try {
+        const { remaining } = await limiter.getStatus(key);
+        
+        if (serverQuota.remaining < remaining && serverQuota.resetAt > clock.now()) {
+            logger.debug(`Server reports ${serverQuota.remaining} requests left for ${key} ` +
+                         `(local limit allows ${remaining}); throttling until ${new Date(serverQuota.resetAt).toISOString()}`);
+            quotas.set(key, serverQuota);
+        } else {
+            quotas.delete(key);
+        }
+    } catch (error) {
+        // Adapting is best-effort; the response itself is still good
+        logger.warn(`Could not adapt rate limit for ${key}: ${error.message}`);
+    }
+}
+
+/**
+ * Runs an async operation, retrying it with backoff until it succeeds,
+ * the retries run out, the error is not retryable or the total elapsed
+ * time cap would be exceeded
+ * 
+ * An operation that received a response attaches it to the thrown error as
+ * `error.response` so that the classifier and Retry-After handling can use it.
+ * 
+ * Each attempt gets its own AbortSignal that fires on the per-attempt
+ * `timeout`, the overall `totalTimeout` or the caller's `signal`. A timed-out
+ * attempt is retried like a network error; cancellation and the overall
+ * deadline end the call immediately with an AbortError or TimeoutError.
+ * 
+ * @param {Function} operation - Async function called with (attempt index, AbortSignal)
+ * @param {Object} options - Normalized retry options
+ * @param {string} [url] - URL being fetched, recorded on RetryExhaustedError
+ * @returns {Promise<any>} The operation's result
+ * @throws {RetryExhaustedError} If all retry attempts fail
+ */
+async function retryWithBackoff(operation, options, url) {
+    const call = createScopedSignal(options.signal, {
+        timeout: options.totalTimeout,
+        createTimeoutError: () =>
+            new TimeoutError(`Request exceeded total timeout of ${options.totalTimeout}ms`, options.totalTimeout),
+        mapParentReason: reason => new AbortError('The request was aborted', { cause: reason }),
+        clock: options.clock
+    });
+    
+    try {
+        return await runAttempts(operation, options, call.signal, url);
+    } finally {
+        call.cleanup();
+    }
+}
+
+/**
+ * The attempt loop behind retryWithBackoff()
+ * 
+ * @param {Function} operation - Async function called with (attempt index, AbortSignal)
+ * @param {Object} options - Normalized retry options
+ * @param {AbortSignal} callSignal - Aborts on cancellation or the overall deadline
+ * @param {string} [url] - URL being fetched
+ * @returns {Promise<any>} The operation's result
+ */
+async function runAttempts(operation, options, callSignal, url) {
+    const startTime = options.clock.now();
+    const history = [];
+    const { logger, circuitBreaker, retryBudget, metrics, rateLimiter, clock } = options;
+    const breakerKey = circuitBreaker ? circuitBreaker.getKey(url) : null;
+    const budgetKey = retryBudget ? retryBudget.getKey(url) : null;
+    const metricsKey = metrics ? metrics.getKey(url) : null;
+    const rateLimitKey = rateLimiter ? options.rateLimitKey(url) : null;
+    let previousDelay = options.baseDelay;
+    let attemptsMade = 0;
+    
+    const elapsed = () => clock.now() - startTime;
+    
+    // Reports the end of the call through onGiveUp and returns the error to throw
+    const giveUp = (error, reason) => {
+        if (metrics) {
+            metrics.recordResult(metricsKey, elapsed(), reason);
+        }
+        callHook(options, 'onGiveUp', { url, attempt: attemptsMade, error, reason, elapsed: elapsed(), attempts: history });
+        return error;
+    };
+    
+    // Errors thrown as-is rather than wrapped still carry the attempts before them
+    const withHistory = error => {
+        if (error !== null && typeof error === 'object') {
+            error.attempts = history;
+        }
+        return error;
+    };
+    
+    if (metrics) {
+        metrics.recordRequest(metricsKey);
+    }
+    
+    for (let attempt = 0; attempt <= options.maxRetries; attempt++) {
+        attemptsMade = attempt + 1;
+        
+        if (callSignal.aborted) {
+            throw giveUp(callSignal.reason, 'aborted');
+        }
+        
+        // Fail fast while the host's circuit is open, before using up any quota
+        if (circuitBreaker) {
+            try {
+                circuitBreaker.acquire(breakerKey);
+            } catch (error) {
+                logger.warn(error.message);
+                throw giveUp(withHistory(error), 'circuit-open');
+            }
+        }
+        
+        // Every attempt, retries included, waits for an outbound slot
+        if (rateLimiter) {
+            try {
+                await waitForRateLimitSlot(rateLimiter, rateLimitKey, callSignal, clock, logger);
+            } catch (error) {
+                if (circuitBreaker) {
+                    circuitBreaker.release(breakerKey);
+                }
+                throw giveUp(error, callSignal.aborted ? 'aborted' : 'rate-limiter');
+            }
+        }
+        
+        const attemptScope = createScopedSignal(callSignal, {
+            timeout: options.timeout,
+            createTimeoutError: () =>
+                new TimeoutError(`Attempt ${attemptsMade} timed out after ${options.timeout}ms`, options.timeout),
+            clock: options.clock
+        });
+        
+        const attemptStart = clock.now();
+        let waitMs;
+        
+        callHook(options, 'onAttempt', { url, attempt: attemptsMade, elapsed: elapsed() });
+        logger.debug(`Attempt ${attemptsMade} started for ${url}`);
+        
+        try {
+            const pending = Promise.resolve().then(() => operation(attempt, attemptScope.signal));
+            const result = await raceSignal(pending, attemptScope.signal);
+            
+            if (rateLimiter && result && result.response) {
+                await adaptToServerQuota(rateLimiter, rateLimitKey, result.response, clock, logger);
+            }
+            if (circuitBreaker) {
+                circuitBreaker.recordSuccess(breakerKey);
+            }
+            if (retryBudget) {
+                retryBudget.recordSuccess(budgetKey);
+            }
+            if (metrics) {
+                const status = result && result.response ? result.response.status : undefined;
+                metrics.recordAttempt(metricsKey, clock.now() - attemptStart, status);
+                metrics.recordResult(metricsKey, elapsed(), null);
+            }
+            callHook(options, 'onSuccess', { url, attempt: attemptsMade, elapsed: elapsed(), attempts: history });
+            return result;
+        } catch (error) {
+            if (metrics) {
+                const status = error && error.response ? error.response.status : undefined;
+                metrics.recordAttempt(metricsKey, clock.now() - attemptStart, status, true);
+            }
+            if (rateLimiter && error && error.response) {
+                await adaptToServerQuota(rateLimiter, rateLimitKey, error.response, clock, logger);
+            }
+            
+            // Cancellation and the overall deadline are final, never retried
+            if (callSignal.aborted) {
+                if (circuitBreaker) {
+                    circuitBreaker.release(breakerKey);
+                }
+                logger.warn(`Attempt ${attemptsMade} cancelled: ${callSignal.reason.message}`);
+                throw giveUp(callSignal.reason, 'aborted');
+            }
+            
+            const record = { attempt: attemptsMade, error, duration: clock.now() - attemptStart, delay: null };
+            history.push(record);
+            const response = error && error.response;
+            const retryable = error instanceof ValidationError
+                ? options.retryOnValidationError
+                : options.shouldRetry(error, response, attemptsMade);
+            
+            // Only transient failures count against the host; a 404 proves it is up
+            if (circuitBreaker) {
+                if (retryable) {
+                    circuitBreaker.recordFailure(breakerKey);
+                } else {
+                    circuitBreaker.recordSuccess(breakerKey);
+                }
+            }
+            
+            // Errors that can never succeed are thrown straight away
+            if (!retryable) {
+                logger.warn(`Attempt ${attemptsMade} failed: ${error.message}. Not retrying.`);
+                throw giveUp(withHistory(error), 'not-retryable');
+            }
+            
+            // If this is the last attempt, stop here
+            if (attempt >= options.maxRetries) {
+                logger.warn(`All ${attemptsMade} attempts failed.`);
+                break;
+            }
+            
+            // A server-provided Retry-After takes precedence over our own backoff
+            const retryAfter = getRetryAfterDelay(response, clock.now());
+            waitMs = retryAfter !== null
+                ? retryAfter
+                : computeBackoff(attempt + 1, options, previousDelay, options.random);
+            
+            // Give up early rather than overrun the total time budget
+            if (elapsed() + waitMs > options.maxElapsedTime) {
+                logger.warn(`Attempt ${attemptsMade} failed: ${error.message}. ` +
+                           `Giving up, next retry would exceed ${options.maxElapsedTime}ms.`);
+                throw giveUp(new RetryExhaustedError(history, url), 'max-elapsed-time');
+            }
+            
+            // During an outage the shared budget runs dry and calls stop adding load
+            if (retryBudget && !retryBudget.tryAcquire(budgetKey)) {
+                logger.warn(`Attempt ${attemptsMade} failed: ${error.message}. Retry budget exhausted, not retrying.`);
+                throw giveUp(withHistory(error), 'retry-budget');
+            }
+            
+            record.delay = waitMs;
+            previousDelay = waitMs;
+            logger.info(`Attempt ${attemptsMade} failed: ${error.message}. Retrying in ${waitMs}ms...`);
+            if (metrics) {
+                metrics.recordRetry(metricsKey);
+            }
+            callHook(options, 'onRetry', { url, attempt: attemptsMade, error, delay: waitMs, elapsed: elapsed() });
+        } finally {
+            attemptScope.cleanup();
+        }
+        
+        try {
+            // Rejects with the abort reason if the call is cancelled while waiting
+            await delay(waitMs, callSignal, clock);
+        } catch (error) {
+            throw giveUp(error, 'aborted');
+        }
+    }
+    
+    // Throw error after all retries are exhausted
+    throw giveUp(new RetryExhaustedError(history, url), 'exhausted');
+}
+
+/**
+ * In-memory LRU cache store (the default store for the cache option)
+ * 
+ * Any object with async or sync `get(key)`, `set(key, entry)` and
+ * `delete(key)` methods can be used as a store instead, for example one
+ * backed by Redis or the file system. Entries are plain JSON-serializable
+ * objects.
+ */
+class MemoryCacheStore {
+    /**
+     * Creates a new MemoryCacheStore instance
+     * 
+     * @param {number} maxEntries - Maximum number of entries before the least recently used is evicted (default: 100)
+     */
+    constructor(maxEntries = 100) {
+        if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+            throw new TypeError('maxEntries must be a positive integer');
+        }
+        
+        this.maxEntries = maxEntries;
+        
+        // Map iteration order doubles as recency order (oldest first)
+        this.entries = new Map();
+    }
+    
+    /**
+     * Gets an entry and marks it as most recently used
+     * 
+     * @param {string} key - Cache key
+     * @returns {Object|undefined} A copy of the entry, so callers can't mutate the cache
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+        
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return structuredClone(entry);
+    }
+    
+    /**
+     * Stores an entry, evicting the least recently used one if the store is full
+     * 
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, structuredClone(entry));
+        
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+    
+    /**
+     * Removes an entry
+     * 
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+    
+    /**
+     * Removes every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+    
+    /**
+     * Number of entries currently stored
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Store used when the cache option doesn't name one
+ */
+const defaultCacheStore = new MemoryCacheStore();
+
+/**
+ * Cache keys with a background revalidation in progress
+ */
+const revalidatingKeys = new Set();
+
+/**
+ * Default cache options
+ */
+const DEFAULT_CACHE_OPTIONS = {
+    store: defaultCacheStore,
+    ttl: 0,
+    staleWhileRevalidate: 0,
+    staleIfError: 0
+};
+
+/**
+ * Merges the cache option with the defaults and validates it
+ * 
+ * @param {boolean|Object} [cache] - true for defaults, or cache options
+ * @returns {Object|null} Normalized cache options, or null when caching is off
+ * @throws {TypeError} If any cache option is invalid
+ */
+function normalizeCacheOptions(cache) {
+    if (cache === undefined || cache === false) {
+        return null;
+    }
+    
+    if (cache !== true && (cache === null || typeof cache !== 'object')) {
+        throw new TypeError('cache must be a boolean or a cache options object');
+    }
+    
+    const merged = { ...DEFAULT_CACHE_OPTIONS, ...(cache === true ? {} : cache) };
+    
+    for (const name of ['ttl', 'staleWhileRevalidate', 'staleIfError']) {
+        if (typeof merged[name] !== 'number' || Number.isNaN(merged[name]) || merged[name] < 0) {
+            throw new TypeError(`cache.${name} must be a non-negative number`);
+        }
+    }
+    
+    const { store } = merged;
+    if (!store || ['get', 'set', 'delete'].some(method => typeof store[method] !== 'function')) {
+        throw new TypeError('cache.store must implement get, set and delete');
+    }
+    
+    return merged;
+}
+
+/**
+ * Parses the directives of a Cache-Control header that the cache honors
+ * 
+ * @param {string|null} header - Cache-Control header value
+ * @returns {Object} { noStore, noCache, maxAge } - maxAge in seconds, or null if absent
+ */
+function parseCacheControl(header) {
+    const policy = { noStore: false, noCache: false, maxAge: null };
+    
+    if (!header) {
+        return policy;
+    }
+    
+    for (const directive of header.toLowerCase().split(',')) {
+        const [name, value] = directive.trim().split('=');
+        
+        if (name === 'no-store') {
+            policy.noStore = true;
+        } else if (name === 'no-cache') {
+            policy.noCache = true;
+        } else if (name === 'max-age' && /^\d+$/.test(value)) {
+            policy.maxAge = Number(value);
+        }
+    }
+    
+    return policy;
+}
+
+/**
+ * Works out when a response stops being fresh
+ * 
+ * `Cache-Control: max-age` wins over the configured ttl; `no-cache` makes the
+ * entry stale immediately so every read revalidates.
+ * 
+ * @param {Headers} headers - Response headers
+ * @param {number} ttl - Configured time-to-live in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Expiry timestamp in milliseconds
+ */
+function getExpiry(headers, ttl, now) {
+    const policy = parseCacheControl(headers.get('cache-control'));
+    
+    if (policy.noCache) {
+        return now;
+    }
+    
+    return now + (policy.maxAge !== null ? policy.maxAge * 1000 : ttl);
+}
+
+/**
+ * Builds the conditional request headers for revalidating a cache entry
+ * 
+ * @param {Object} [entry] - Cached entry
+ * @returns {Object} If-None-Match / If-Modified-Since headers
+ */
+function getConditionalHeaders(entry) {
+    const headers = {};
+    
+    if (entry && entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+    
+    return headers;
+}
+
+/**
+ * Fetches from the network with conditional headers and updates the cache
+ * 
+ * @param {string} key - Cache key
+ * @param {Object} [entry] - Current cache entry
+ * @param {Object} options - Normalized retry options (with cache)
+ * @param {Function} runRequest - Runs the retry sequence with extra headers and
+ *   resolves to { response, data }
+ * @returns {Promise<any>} The fresh or revalidated data
+ */
+async function refreshCacheEntry(key, entry, options, runRequest) {
+    const { cache } = options;
+    const { response, data } = await runRequest(getConditionalHeaders(entry));
+    const now = options.clock.now();
+    
+    // 304 Not Modified: the cached body is still good, only its freshness changes
+    if (response.status === 304 && entry) {
+        await cache.store.set(key, { ...entry, storedAt: now, expiresAt: getExpiry(response.headers, cache.ttl, now) });
+        return entry.data;
+    }
+    
+    if (parseCacheControl(response.headers.get('cache-control')).noStore) {
+        await cache.store.delete(key);
+        return data;
+    }
+    
+    await cache.store.set(key, {
+        data,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        storedAt: now,
+        expiresAt: getExpiry(response.headers, cache.ttl, now)
+    });
+    
+    return data;
+}
+
+/**
+ * Serves a request through the cache
+ * 
+ * - Fresh entry: returned without touching the network
+ * - Stale within `staleWhileRevalidate`: returned immediately while a
+ *   background request revalidates it
+ * - Otherwise: revalidated (or fetched) over the network; if that fails and
+ *   the entry is within `staleIfError`, the stale data is returned instead
+ * 
+ * An entry that fails the call's `validate` option is treated as missing.
+ * 
+ * @param {string} key - Cache key
+ * @param {Object} options - Normalized retry options (with cache)
+ * @param {Function} runRequest - Runs the retry sequence; called with (extra headers, option overrides)
+ * @returns {Promise<any>} The data
+ */
+async function fetchThroughCache(key, options, runRequest) {
+    const { cache, logger, clock, validate } = options;
+    let entry = await cache.store.get(key);
+    const now = clock.now();
+    
+    // The entry may have been stored by a call without this call's validator
+    if (entry && !passesValidation(entry.data, validate, null)) {
+        logger.debug(`Cached ${key} failed validation; refetching`);
+        entry = undefined;
+    }
+    
+    if (entry && now < entry.expiresAt) {
+        logger.debug(`Cache hit for ${key}`);
+        return entry.data;
+    }
+    
+    if (entry && now < entry.expiresAt + cache.staleWhileRevalidate) {
+        logger.debug(`Serving stale ${key} while revalidating`);
+        
+        if (!revalidatingKeys.has(key)) {
+            revalidatingKeys.add(key);
+            
+            // The caller may abort or time out its own call; the refresh runs independently
+            const background = headers => runRequest(headers, { signal: undefined, totalTimeout: Infinity });
+            refreshCacheEntry(key, entry, options, background)
+                .catch(error => logger.warn(`Background revalidation of ${key} failed: ${error.message}`))
+                .finally(() => revalidatingKeys.delete(key));
+        }
+        
+        return entry.data;
+    }
+    
+    try {
+        return await refreshCacheEntry(key, entry, options, runRequest);
+    } catch (error) {
+        const cancelled = error instanceof AbortError;
+        
+        if (entry && !cancelled && clock.now() < entry.expiresAt + cache.staleIfError) {
+            logger.warn(`Serving stale ${key} after error: ${error.message}`);
+            return entry.data;
+        }
+        
+        throw error;
+    }
+}
+
+/**
+ * Shared retry sequences for identical concurrent requests (dedupe option)
+ * Structure: { key: { promise, controller, subscribers } }
+ */
+const inFlightRequests = new Map();
+
+/**
+ * Builds the key that identifies identical requests for deduplication
+ * 
+ * @param {Object} request - Request description
+ * @param {string} request.url - Request URL
+ * @param {string} [request.method='GET'] - HTTP method
+ * @param {Object} [request.headers] - Request headers; header names are case-insensitive
+ * @param {string} [request.responseType='json'] - How the body is read
+ * @returns {string} Deduplication key
+ */
+function getDedupeKey({ url, method = 'GET', headers = {}, responseType = 'json' }) {
+    const headerPart = Object.keys(headers)
+        .map(name => `${name.toLowerCase()}:${headers[name]}`)
+        .sort()
+        .join('\n');
+    
+    const requestLine = responseType === 'json'
+        ? `${method.toUpperCase()} ${url}`
+        : `${method.toUpperCase()} ${url} (${responseType})`;
+    
+    return headerPart ? `${requestLine}\n${headerPart}` : requestLine;
+}
+
+/**
+ * Joins the in-flight run for `key`, starting one if there is none
+ * 
+ * Every caller receives the shared result, but each one can abort on its own:
+ * aborting only detaches that caller. The shared run itself is cancelled when
+ * every caller has detached.
+ * 
+ * The run enforces the first caller's deadline. A caller that joins it later
+ * still waits no longer than its own `deadline.timeout`, after which it
+ * detaches with the TimeoutError that `deadline.createTimeoutError` builds.
+ * 
+ * @param {string} key - Deduplication key
+ * @param {Function} run - Starts the shared run; called with an AbortSignal
+ * @param {AbortSignal} [signal] - This caller's signal
+ * @param {Object} [deadline] - This caller's overall deadline
+ * @param {number} deadline.timeout - Milliseconds (Infinity for none)
+ * @param {Function} deadline.createTimeoutError - Builds the error for a missed deadline
+ * @param {Object} [deadline.clock] - Clock whose timers to use (default: the system clock)
+ * @returns {Promise<any>} The shared result
+ */
+function coalesceRequest(key, run, signal, deadline) {
+    const toAbortError = reason => new AbortError('The request was aborted', { cause: reason });
+    
+    if (signal && signal.aborted) {
+        return Promise.reject(toAbortError(signal.reason));
+    }
+    
+    let entry = inFlightRequests.get(key);
+    let scope = null;
+    
+    if (entry && deadline && Number.isFinite(deadline.timeout)) {
+        // Joining: the run won't enforce this caller's deadline, so bound the wait here
+        scope = createScopedSignal(signal, { ...deadline, mapParentReason: toAbortError });
+        signal = scope.signal;
+    }
+    
+    if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, subscribers: 0, promise: null };
+        entry.promise = run(controller.signal).finally(() => {
+            if (inFlightRequests.get(key) === entry) {
+                inFlightRequests.delete(key);
+            }
+        });
+        inFlightRequests.set(key, entry);
+    }
+    
+    const shared = entry;
+    shared.subscribers++;
+    
+    return new Promise((resolve, reject) => {
+        let detached = false;
+        
+        const detach = () => {
+            if (detached) {
+                return;
+            }
+            detached = true;
+            shared.subscribers--;
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (scope) {
+                scope.cleanup();
+            }
+        };
+        
+        const onAbort = () => {
+            detach();
+            
+            // The last caller leaving cancels the underlying request; it is
+            // unlisted first so that new callers start a fresh one instead of
+            // joining the cancelled one
+            if (shared.subscribers === 0) {
+                if (inFlightRequests.get(key) === shared) {
+                    inFlightRequests.delete(key);
+                }
+                shared.controller.abort(signal.reason);
+            }
+            // A scoped signal's reason is already an AbortError or TimeoutError
+            reject(scope ? signal.reason : toAbortError(signal.reason));
+        };
+        
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        
+        shared.promise.then(
+            value => { detach(); resolve(value); },
+            error => { detach(); reject(error); }
+        );
+    });
+}
+
+/**
+ * Rolling window of response latencies per host, used to learn hedge delays
+ */
+class LatencyTracker {
+    /**
+     * Creates a new LatencyTracker instance
+     * 
+     * @param {number} windowSize - Number of recent samples kept per key (default: 100)
+     */
+    constructor(windowSize = 100) {
+        if (!Number.isInteger(windowSize) || windowSize < 1) {
+            throw new TypeError('windowSize must be a positive integer');
+        }
+        
+        this.windowSize = windowSize;
+        this.samples = new Map();
+    }
+    
+    /**
+     * Records a latency sample, dropping the oldest once the window is full
+     * 
+     * @param {string} key - Usually the URL's origin
+     * @param {number} latency - Milliseconds
+     */
+    record(key, latency) {
+        if (!this.samples.has(key)) {
+            this.samples.set(key, []);
+        }
+        
+        const samples = this.samples.get(key);
+        samples.push(latency);
+        if (samples.length > this.windowSize) {
+            samples.shift();
+        }
+    }
+    
+    /**
+     * Gets the number of samples held for a key
+     * 
+     * @param {string} key - The key
+     * @returns {number} Sample count
+     */
+    count(key) {
+        return this.samples.has(key) ? this.samples.get(key).length : 0;
+    }
+    
+    /**
+     * Gets a percentile of the recent samples (nearest-rank)
+     * 
+     * @param {string} key - The key
+     * @param {number} percentile - Between 0 and 100
+     * @returns {number|undefined} The latency, or undefined without samples
+     */
+    percentile(key, percentile) {
+        const samples = this.samples.get(key);
+        if (!samples || samples.length === 0) {
+            return undefined;
+        }
+        
+        const sorted = [...samples].sort((a, b) => a - b);
+        const rank = Math.max(1, Math.ceil((percentile / 100) * sorted.length));
+        return sorted[rank - 1];
+    }
+    
+    /**
+     * Forgets samples for one key, or all of them
+     * 
+     * @param {string} [key] - The key to clear
+     */
+    reset(key) {
+        if (key === undefined) {
+            this.samples.clear();
+        } else {
+            this.samples.delete(key);
+        }
+    }
+}
+
+/**
+ * Latencies shared by calls that don't pass their own tracker
+ */
+const defaultLatencyTracker = new LatencyTracker();
+
+/**
+ * Default hedge options
+ */
+const DEFAULT_HEDGE_OPTIONS = {
+    delay: undefined,
+    percentile: undefined,
+    minSamples: 20,
+    maxHedges: 1,
+    tracker: defaultLatencyTracker
+};
+
+/**
+ * Merges the hedge option with the defaults and validates it
+ * 
+ * @param {boolean|Object} hedge - The hedge option
+ * @returns {Object|null} Hedge options, or null when hedging is off
+ */
+function normalizeHedgeOptions(hedge) {
+    if (hedge === undefined || hedge === false) {
+        return null;
+    }
+    
+    if (hedge === null || typeof hedge !== 'object') {
+        throw new TypeError('hedge must be false or a hedge options object');
+    }
+    
+    const merged = { ...DEFAULT_HEDGE_OPTIONS, ...hedge };
+    
+    if (merged.delay === undefined && merged.percentile === undefined) {
+        throw new TypeError('hedge needs a delay, a percentile, or both');
+    }
+    if (merged.delay !== undefined &&
+        (typeof merged.delay !== 'number' || !Number.isFinite(merged.delay) || merged.delay < 0)) {
+        throw new TypeError('hedge.delay must be a non-negative number');
+    }
+    if (merged.percentile !== undefined &&
+        (typeof merged.percentile !== 'number' || !(merged.percentile > 0 && merged.percentile <= 100))) {
+        throw new TypeError('hedge.percentile must be a number between 0 and 100');
+    }
+    for (const name of ['minSamples', 'maxHedges']) {
+        if (!Number.isInteger(merged[name]) || merged[name] < 1) {
+            throw new TypeError(`hedge.${name} must be a positive integer`);
+        }
+    }
+    
+    const { tracker } = merged;
+    if (!tracker || ['record', 'count', 'percentile'].some(method => typeof tracker[method] !== 'function')) {
+        throw new TypeError('hedge.tracker must implement record, count and percentile');
+    }
+    
+    return merged;
+}
+
+/**
+ * Works out how long to wait before hedging a request to a host
+ * 
+ * A learned percentile wins once enough samples exist; until then the
+ * fixed delay applies (or no hedging if there is none).
+ * 
+ * @param {Object} hedge - Normalized hedge options
+ * @param {string} key - Tracker key (the URL's origin)
+ * @returns {number|undefined} Milliseconds, or undefined to send a single request
+ */
+function getHedgeDelay(hedge, key) {
+    if (hedge.percentile !== undefined && hedge.tracker.count(key) >= hedge.minSamples) {
+        return hedge.tracker.percentile(key, hedge.percentile);
+    }
+    return hedge.delay;
+}
+
+/**
+ * Sends one attempt, starting duplicate requests if it is slow to answer
+ * 
+ * Every `hedgeDelay` without an answer starts another copy, until the call
+ * has started `maxHedges` of them across all its attempts. The first success
+ * wins and the others are aborted; the attempt only fails once every copy
+ * has failed, with the first failure. With a rate limiter each copy waits
+ * for its own outbound slot; the first one's slot was already taken for the
+ * attempt.
+ * 
+ * The tracker learns how long the attempt waited, from its start until the
+ * first success or its timeout, so a slow copy that lost still counts.
+ * 
+ * @param {Function} send - Sends one request: `(signal) => Promise`
+ * @param {AbortSignal} signal - The attempt's signal
+ * @param {Object} hedge - Normalized hedge options
+ * @param {Object} context - { url, attempt, key, clock, options, hedges } where
+ *   hedges is the call's `{ started }` counter, shared by its attempts
+ * @returns {Promise<any>} The winning request's result
+ */
+function sendHedged(send, signal, hedge, { url, attempt, key, clock, options, hedges }) {
+    const hedgeDelay = getHedgeDelay(hedge, key);
+    const attemptStart = clock.now();
+    
+    return new Promise((resolve, reject) => {
+        const racers = [];
+        let failures = 0;
+        let firstError = null;
+        let settled = false;
+        let timer = null;
+        
+        const settle = winner => {
+            settled = true;
+            clock.clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            for (const racer of racers) {
+                if (racer !== winner) {
+                    racer.controller.abort(new AbortError('Lost the hedged race'));
+                }
+            }
+        };
+        
+        const onAbort = () => {
+            // Timing out without an answer says at least as much about latency as an answer
+            if (signal.reason instanceof TimeoutError) {
+                hedge.tracker.record(key, clock.now() - attemptStart);
+            }
+            settle(null);
+            reject(signal.reason);
+        };
+        
+        const launch = () => {
+            const racer = { controller: new AbortController() };
+            racers.push(racer);
+            
+            if (racers.length > 1) {
+                hedges.started++;
+                callHook(options, 'onHedge', { url, attempt, hedge: hedges.started, delay: hedgeDelay });
+            }
+            
+            // Duplicates count against the outbound quota like any other request
+            let sent;
+            if (racers.length > 1 && options.rateLimiter) {
+                sent = waitForRateLimitSlot(
+                    options.rateLimiter, options.rateLimitKey(url), racer.controller.signal, clock, options.logger
+                ).then(() => send(racer.controller.signal));
+            } else {
+                sent = send(racer.controller.signal);
+            }
+            
+            sent.then(result => {
+                if (settled) {
+                    return;
+                }
+                hedge.tracker.record(key, clock.now() - attemptStart);
+                settle(racer);
+                resolve(result);
+            }, error => {
+                if (settled) {
+                    return;
+                }
+                failures++;
+                firstError = firstError || error;
+                if (failures === racers.length) {
+                    settle(null);
+                    reject(firstError);
+                }
+            });
+            
+            if (hedgeDelay !== undefined && hedges.started < hedge.maxHedges) {
+                timer = clock.setTimeout(launch, hedgeDelay);
+            }
+        };
+        
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        launch();
+    });
+}
+
+/**
+ * Reads a successful response body according to the responseType option
+ * 
+ * @param {Response} response - The response
+ * @param {string} responseType - 'json', 'text', 'arrayBuffer' or 'response'
+ * @param {string} method - Request method
+ * @returns {Promise<any>} The parsed body (or the Response itself)
+ */
+async function parseResponseBody(response, responseType, method) {
+    switch (responseType) {
+        case 'response':
+            return response;
+        case 'text':
+            return response.text();
+        case 'arrayBuffer':
+            return response.arrayBuffer();
+        default:
+            // Responses that never carry a body have no JSON to parse
+            if (method === 'HEAD' || response.status === 204 || response.status === 205) {
+                return null;
+            }
+            return response.json();
+    }
+}
+
+/**
+ * Returns the schema type name of a JSON value
+ * 
+ * @param {any} value - The value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getSchemaType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * Checks a value against a small JSON-Schema-like description
+ * 
+ * Supports `type` (a name or a list of names: string, number, integer,
+ * boolean, object, array, null), `required`, `properties`, `items` and
+ * `enum`. Properties not described by the schema are allowed.
+ * 
+ * @param {any} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {string} [path='$'] - Path of the value, used in problem reports
+ * @returns {Object|null} The first problem found as { path, message }, or null if valid
+ * 
+ * @example
+ * validateSchema({ id: '7' }, { type: 'object', properties: { id: { type: 'integer' } } });
+ * // { path: '$.id', message: 'expected integer, got string' }
+ */
+function validateSchema(value, schema, path = '$') {
+    const actual = getSchemaType(value);
+    
+    if (schema.type !== undefined) {
+        const expected = [].concat(schema.type);
+        const matches = expected.includes(actual) || (actual === 'integer' && expected.includes('number'));
+        
+        if (!matches) {
+            return { path, message: `expected ${expected.join(' or ')}, got ${actual}` };
+        }
+    }
+    
+    if (schema.enum !== undefined) {
+        const serialized = JSON.stringify(value);
+        if (!schema.enum.some(option => JSON.stringify(option) === serialized)) {
+            return { path, message: `expected one of ${JSON.stringify(schema.enum)}` };
+        }
+    }
+    
+    if (actual === 'object') {
+        for (const name of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                return { path: `${path}.${name}`, message: 'is required' };
+            }
+        }
+        
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            if (Object.prototype.hasOwnProperty.call(value, name)) {
+                const problem = validateSchema(value[name], propertySchema, `${path}.${name}`);
+                if (problem) {
+                    return problem;
+                }
+            }
+        }
+    }
+    
+    if (actual === 'array' && schema.items) {
+        for (let index = 0; index < value.length; index++) {
+            const problem = validateSchema(value[index], schema.items, `${path}[${index}]`);
+            if (problem) {
+                return problem;
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Applies the validate option to a parsed response body
+ * 
+ * A predicate may return false, or throw a ValidationError to report a path;
+ * any other error it throws (e.g. reading a field of a missing object) means
+ * the body had the wrong shape.
+ * 
+ * @param {any} data - The parsed body
+ * @param {Function|Object} validate - Predicate `(data, response) => boolean` or a schema
+ * @param {Response} response - The response
+ * @param {string} url - The requested URL
+ * @throws {ValidationError} If the body is invalid
+ */
+function validateResponseData(data, validate, response, url) {
+    if (typeof validate !== 'function') {
+        const problem = validateSchema(data, validate);
+        if (problem) {
+            throw new ValidationError({ ...problem, url });
+        }
+        return;
+    }
+    
+    let valid;
+    try {
+        valid = validate(data, response);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            error.url = error.url || url;
+            throw error;
+        }
+        throw new ValidationError({ message: `validator threw: ${error.message}`, url, cause: error });
+    }
+    
+    if (valid === false) {
+        throw new ValidationError({ message: 'rejected by validator', url });
+    }
+}
+
+/**
+ * Checks data that did not come through this call's own sendRequest (a cached
+ * entry, or the result of a shared dedupe run) against its validate option
+ * 
+ * @param {any} data - The parsed body
+ * @param {Function|Object} [validate] - Predicate or schema; none means valid
+ * @param {Response|null} response - The response, or null for cached data
+ * @returns {boolean} Whether the data passes
+ */
+function passesValidation(data, validate, response) {
+    if (!validate) {
+        return true;
+    }
+    
+    try {
+        validateResponseData(data, validate, response);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Sends a single request attempt
+ * 
+ * A 304 answering a cache revalidation is passed through (with undefined
+ * data) so the cache can serve its entry; any other non-2xx status,
+ * including an unasked-for 304, throws an HttpError. With a validator, a body
+ * that is not valid JSON or fails validation throws a ValidationError.
+ * 
+ * @param {Function} transport - fetch-compatible function
+ * @param {Object} request - { url, method, headers, body, responseType, validate, revalidating }
+ * @param {AbortSignal} signal - Aborts on timeout or cancellation
+ * @returns {Promise<Object>} { response, data }
+ */
+async function sendRequest(transport, request, signal) {
+    const { url, method, headers, body, responseType, validate, revalidating } = request;
+    
+    // Attempt to fetch the data (the signal aborts on timeout or cancellation)
+    const response = await transport(url, { method, headers, body, signal });
+    
+    try {
+        if (response.status === 304 && revalidating) {
+            return { response, data: undefined };
+        }
+        
+        // Check if response is ok (status 200-299)
+        if (!response.ok) {
+            throw await HttpError.fromResponse(response, url);
+        }
+        
+        if (!validate) {
+            return { response, data: await parseResponseBody(response, responseType, method) };
+        }
+        
+        let data;
+        try {
+            data = await parseResponseBody(response, responseType, method);
+        } catch (error) {
+            // A truncated body is a malformed payload, not a deterministic parse bug
+            if (!(error instanceof SyntaxError) || signal.aborted) {
+                throw error;
+            }
+            throw new ValidationError({ message: `body is not valid JSON (${error.message})`, url, cause: error });
+        }
+        
+        validateResponseData(data, validate, response, url);
+        return { response, data };
+    } catch (error) {
+        // Let the retry loop see which response the failure belongs to
+        // (a body read cut short by a timeout is not the response's fault)
+        if (!signal.aborted) {
+            error.response = response;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Runs one retry sequence for a URL, optionally shared with identical
+ * concurrent calls
+ * 
+ * Non-idempotent methods (POST, PATCH) are only retried when the request
+ * carries an Idempotency-Key, which stays the same for every attempt.
+ * 
+ * @param {string} url - The URL to fetch
+ * @param {Object} retryOptions - Normalized retry options
+ * @param {Object} [extraHeaders] - Extra request headers
+ * @param {Object} [overrides] - Retry options to override for this run
+ * @returns {Promise<Object>} { response, data } from the successful attempt
+ */
+function requestWithRetry(url, retryOptions, extraHeaders = {}, overrides = {}) {
+    const runOptions = { ...retryOptions, ...overrides };
+    const { method, body, responseType, idempotencyKey, validate } = runOptions;
+    const headers = { ...runOptions.headers, ...extraHeaders };
+    
+    if (!IDEMPOTENT_METHODS.has(method)) {
+        if (idempotencyKey && !headers['idempotency-key']) {
+            headers['idempotency-key'] = idempotencyKey === true ? generateIdempotencyKey() : idempotencyKey;
+        }
+        
+        // Without a key the server can't tell a retry from a second request
+        if (!headers['idempotency-key']) {
+            runOptions.maxRetries = 0;
+        }
+    }
+    
+    const transport = runOptions.fetch || fetch;
+    // Only a conditional request for a cached entry can be answered with a 304
+    const revalidating = Boolean(extraHeaders['If-None-Match'] || extraHeaders['If-Modified-Since']);
+    const request = { url, method, headers, body, responseType, validate, revalidating };
+    const send = signal => sendRequest(transport, request, signal);
+    
+    // Duplicates of a slow request are only safe when repeating it is harmless;
+    // maxHedges caps them across all attempts of this call
+    const { hedge, clock } = runOptions;
+    const hedges = { started: 0 };
+    const attemptRequest = hedge && IDEMPOTENT_METHODS.has(method)
+        ? (attempt, signal) => sendHedged(send, signal, hedge, {
+            url, attempt: attempt + 1, key: getOriginKey(url), clock, options: runOptions, hedges
+        })
+        : (attempt, signal) => send(signal);
+    
+    // Identical concurrent calls share one retry sequence; each keeps its own
+    // signal and deadline. The per-attempt timeout shapes the sequence itself,
+    // so only calls that agree on it share one
+    if (runOptions.dedupe && SAFE_METHODS.has(method) && responseType !== 'response') {
+        const { totalTimeout, timeout } = runOptions;
+        const key = getDedupeKey({ url, method, headers, responseType });
+        let started = false;
+        
+        const shared = coalesceRequest(
+            Number.isFinite(timeout) ? `${key}\ntimeout:${timeout}` : key,
+            sharedSignal => {
+                started = true;
+                return retryWithBackoff(attemptRequest, { ...runOptions, signal: sharedSignal }, url);
+            },
+            runOptions.signal,
+            {
+                timeout: totalTimeout,
+                createTimeoutError: () =>
+                    new TimeoutError(`Request exceeded total timeout of ${totalTimeout}ms`, totalTimeout),
+                clock
+            }
+        );
+        
+        // The shared run only applied the first caller's validator; a joiner
+        // whose own validator rejects the body runs its own sequence instead
+        // (a 304 has no body, and the cache has already checked its entry)
+        return shared.then(result => {
+            const notModified = revalidating && result.response.status === 304;
+            
+            if (started || notModified || passesValidation(result.data, validate, result.response)) {
+                return result;
+            }
+            return retryWithBackoff(attemptRequest, runOptions, url);
+        });
+    }
+    
+    return retryWithBackoff(attemptRequest, runOptions, url);
+}
+
+/**
+ * Fetches data from a URL with automatic retry logic
+ * 
+ * @param {string} url - The URL to fetch data from
+ * @param {number|Object} [options] - Maximum number of retry attempts (default: 3), or an options object
+ * @param {number} [options.maxRetries=3] - Maximum number of retry attempts
+ * @param {string} [options.backoff='constant'] - One of 'constant', 'linear', 'exponential',
+ *   'full-jitter' or 'decorrelated-jitter'
+ * @param {number} [options.baseDelay=1000] - Base delay between attempts in milliseconds
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single delay in milliseconds
+ * @param {number} [options.factor=2] - Growth factor for exponential and full-jitter backoff
+ * @param {number} [options.maxElapsedTime=Infinity] - Cap on total elapsed time in milliseconds
+ * @param {Function} [options.shouldRetry] - Predicate `(error, response, attempt) => boolean`
+ *   deciding whether a failure is retried (default: isRetryableError)
+ * @param {number} [options.timeout=Infinity] - Per-attempt timeout in milliseconds; a timed-out
+ *   attempt is retried
+ * @param {number} [options.totalTimeout=Infinity] - Overall deadline for the whole call in milliseconds
+ * @param {AbortSignal} [options.signal] - Cancels the in-flight request and any wait between attempts
+ * @param {Function} [options.onAttempt] - Called before each attempt with `{ url, attempt, elapsed }`
+ * @param {Function} [options.onRetry] - Called when a retry is scheduled with
+ *   `{ url, attempt, error, delay, elapsed }`
+ * @param {Function} [options.onSuccess] - Called on success with `{ url, attempt, elapsed, attempts }`
+ * @param {Function} [options.onGiveUp] - Called when the call fails with
+ *   `{ url, attempt, error, reason, elapsed, attempts }`; reason is 'exhausted',
+ *   'not-retryable', 'max-elapsed-time', 'aborted', 'circuit-open', 'retry-budget' or
+ *   'rate-limiter' (the limiter itself failed)
+ * @param {Function} [options.onHedge] - Called when a hedged duplicate starts with
+ *   `{ url, attempt, hedge, delay }`
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error methods (default: silent)
+ * @param {CircuitBreaker} [options.circuitBreaker] - Shared breaker that fails calls fast while
+ *   their host is down
+ * @param {RetryBudget} [options.retryBudget] - Shared budget limiting retries to a share of
+ *   recent successes; when it is empty the original error is thrown
+ * @param {MetricsCollector|boolean} [options.metrics] - Collector for counters and latency
+ *   histograms (default: the shared collector behind getMetrics()); false to disable
+ * @param {RateLimiter} [options.rateLimiter] - Outbound throttle: every attempt waits for a slot,
+ *   and X-RateLimit-Remaining/Reset headers lower the local budget when the server has less left
+ * @param {Function} [options.rateLimitKey] - `(url) => key` for the limiter (default: the URL's origin)
+ * @param {boolean} [options.dedupe=false] - Share one retry sequence between identical concurrent
+ *   calls; the first caller's options drive it and all callers receive the same result
+ * @param {boolean|Object} [options.cache] - Enable the response cache (true for defaults)
+ * @param {Object} [options.cache.store] - Cache store with get/set/delete (default: shared MemoryCacheStore)
+ * @param {number} [options.cache.ttl=0] - Freshness lifetime in milliseconds when the response
+ *   has no Cache-Control max-age
+ * @param {number} [options.cache.staleWhileRevalidate=0] - How long past expiry stale data may be
+ *   served while it is revalidated in the background
+ * @param {number} [options.cache.staleIfError=0] - How long past expiry stale data may be served
+ *   when every retry fails
+ * @param {Function} [options.fetch] - fetch-compatible transport (default: the global fetch)
+ * @param {Object} [options.clock] - Clock used for waits, timeouts and elapsed time
+ *   (default: the system clock; see createFakeClock)
+ * @param {Function} [options.random=Math.random] - Random source for jittered backoff
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object|Headers} [options.headers] - Request headers
+ * @param {any} [options.body] - Request body; plain objects and arrays are sent as JSON,
+ *   URLSearchParams as a form, strings and binary data as-is
+ * @param {string} [options.responseType='json'] - 'json', 'text', 'arrayBuffer' or 'response'
+ *   (the unread Response)
+ * @param {boolean|string} [options.idempotencyKey=false] - For POST/PATCH: true to generate an
+ *   Idempotency-Key (or a string to use as the key) so the request may be retried; without
+ *   one, non-idempotent requests are never retried
+ * @param {Function|Object} [options.validate] - Checks each successful body: a predicate
+ *   `(data, response) => boolean` or a schema for validateSchema(); failures throw ValidationError
+ * @param {boolean} [options.retryOnValidationError=true] - Retry when validation fails, or
+ *   throw the ValidationError straight away
+ * @param {Object} [options.hedge] - Start duplicate requests when an attempt is slow (idempotent
+ *   methods only): { delay, percentile, minSamples = 20, maxHedges = 1, tracker }
+ * @returns {Promise<any>} The fetched data
+ * @throws {TypeError} If the URL is empty, or not an absolute URL when no custom fetch is given
+ * @throws {HttpError} If the server answers with a status that is not retried
+ * @throws {RetryExhaustedError} If all retry attempts fail
+ * @throws {AbortError} If the signal is aborted
+ * @throws {TimeoutError} If the totalTimeout deadline passes
+ * @throws {CircuitOpenError} If the host's circuit is open
+ * @throws {ValidationError} If the body is invalid and retryOnValidationError is false
+ * 
+ * @example
+ * try {
+ *   const data = await fetchWithRetry('https://api.example.com/data', 3);
+ *   console.log(data);
+ * } catch (error) {
+ *   if (error instanceof RetryExhaustedError) {
+ *     console.error(`Failed after ${error.attempts.length} attempts:`, error.cause);
+ *   }
+ * }
+ * 
+ * @example
+ * const order = await fetchWithRetry('https://api.example.com/orders', {
+ *   method: 'POST',
+ *   body: { sku: 'A-1', quantity: 2 },
+ *   idempotencyKey: true
+ * });
+ * 
+ * @example
+ * const data = await fetchWithRetry('https://api.example.com/data', {
+ *   maxRetries: 5,
+ *   backoff: 'full-jitter',
+ *   baseDelay: 200,
+ *   maxDelay: 5000,
+ *   maxElapsedTime: 15000
+ * });
+ */
+async function fetchWithRetry(url, options = 3) {
+    // Input validation
+    if (typeof url !== 'string' || !url.trim()) {
+        throw new TypeError('URL must be a non-empty string');
+    }
+    
+    const retryOptions = normalizeRetryOptions(options);
+    
+    // fetch needs an absolute URL; a custom transport gets the URL as given
+    if (!retryOptions.fetch) {
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new TypeError(`Invalid URL: ${url}`, { cause: error });
+        }
+    }
+    
+    const runRequest = (headers, overrides) => requestWithRetry(url, retryOptions, headers, overrides);
+    
+    // Only GET bodies that can be stored are cached
+    if (retryOptions.cache && retryOptions.method === 'GET' && retryOptions.responseType !== 'response') {
+        const { headers, responseType } = retryOptions;
+        return fetchThroughCache(getDedupeKey({ url, headers, responseType }), retryOptions, runRequest);
+    }
+    
+    const { data } = await runRequest();
+    return data;
+}
+
+/**
+ * Runs an async worker over a list with a concurrency limit
+ * 
+ * Results are returned in input order in the same shape as
+ * Promise.allSettled(). With `failFast`, the first failure stops new work,
+ * aborts the signal handed to in-flight workers and rejects with that error.
+ * 
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index, AbortSignal)
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.concurrency=5] - Maximum workers running at once
+ * @param {boolean} [options.failFast=false] - Reject on the first failure instead of collecting all results
+ * @param {Function} [options.onProgress] - Called after each item with
+ *   `{ index, result, completed, succeeded, failed, total }`
+ * @param {AbortSignal} [options.signal] - Cancels the whole batch
+ * @param {Object} [options.logger] - Logger for progress callback errors (default: silent)
+ * @returns {Promise<Object[]>} `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }` per item
+ * @throws {AbortError} If the signal is aborted
+ */
+async function fetchMap(items, worker, options = {}) {
+    if (!Array.isArray(items)) {
+        throw new TypeError('items must be an array');
+    }
+    if (typeof worker !== 'function') {
+        throw new TypeError('worker must be a function');
+    }
+    
+    const { concurrency = 5, failFast = false, onProgress, signal } = options;
+    const logger = normalizeLogger(options.logger);
+    
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TypeError('concurrency must be a positive integer');
+    }
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+        throw new TypeError('onProgress must be a function');
+    }
+    
+    // One controller cancels every in-flight item, whether the caller aborted or an item failed fast
+    const controller = new AbortController();
+    const onCallerAbort = () => controller.abort(new AbortError('The batch was aborted', { cause: signal.reason }));
+    if (signal) {
+        if (signal.aborted) {
+            onCallerAbort();
+        } else {
+            signal.addEventListener('abort', onCallerAbort, { once: true });
+        }
+    }
+    
+    const results = new Array(items.length);
+    const progress = { completed: 0, succeeded: 0, failed: 0, total: items.length };
+    let nextIndex = 0;
+    let firstError = null;
+    
+    const runWorker = async () => {
+        while (nextIndex < items.length && !controller.signal.aborted) {
+            const index = nextIndex++;
+            
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index, controller.signal) };
+                progress.succeeded++;
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+                progress.failed++;
+                
+                if (failFast && !firstError && !controller.signal.aborted) {
+                    firstError = error;
+                    controller.abort(error);
+                }
+            }
+            
+            progress.completed++;
+            
+            if (onProgress) {
+                try {
+                    onProgress({ index, result: results[index], ...progress });
+                } catch (error) {
+                    logger.error(`onProgress threw: ${error.message}`);
+                }
+            }
+        }
+    };
+    
+    try {
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+    } finally {
+        if (signal) {
+            signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+    
+    if (firstError) {
+        throw firstError;
+    }
+    if (signal && signal.aborted) {
+        throw controller.signal.reason;
+    }
+    
+    return results;
+}
+
+/**
+ * Fetches many URLs with a concurrency limit, each with the full retry logic
+ * 
+ * @param {Array<string|Object>} requests - URLs, or descriptors `{ url, ...options }` whose
+ *   options override the shared ones for that request
+ * @param {Object} [options] - fetchMap options (concurrency, failFast, onProgress, signal)
+ *   plus retry options shared by every request
+ * @returns {Promise<Object[]>} Settled results in input order
+ * @throws {AbortError} If the signal is aborted
+ * 
+ * @example
+ * const results = await fetchAll(urls, {
+ *   concurrency: 10,
+ *   maxRetries: 2,
+ *   backoff: 'full-jitter',
+ *   onProgress: ({ completed, total }) => console.log(`${completed}/${total}`)
+ * });
+ * const data = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+ */
+async function fetchAll(requests, options = {}) {
+    if (!Array.isArray(requests)) {
+        throw new TypeError('requests must be an array');
+    }
+    
+    const { concurrency, failFast, onProgress, signal, ...shared } = options;
+    
+    // Validate the shared options once instead of once per request
+    normalizeRetryOptions(shared);
+    
+    const descriptors = requests.map((request, index) => {
+        const descriptor = typeof request === 'string' ? { url: request } : request;
+        if (!descriptor || typeof descriptor.url !== 'string') {
+            throw new TypeError(`requests[${index}] must be a URL string or an object with a url`);
+        }
+        return descriptor;
+    });
+    
+    return fetchMap(descriptors, ({ url, ...overrides }, index, batchSignal) =>
+        fetchWithRetry(url, { ...shared, ...overrides, signal: batchSignal }),
+    { concurrency, failFast, onProgress, signal, logger: shared.logger });
+}
+
+/**
+ * Error thrown when a page still fails after its retries
+ * 
+ * `resumeUrl` is the page that failed; pass it back to paginate() to carry
+ * on from the last good page without refetching earlier ones.
+ */
+class PaginationError extends Error {
+    /**
+     * @param {Object} details - Pagination progress at the time of failure
+     * @param {string} details.resumeUrl - URL of the page that failed
+     * @param {number} details.pagesFetched - Pages yielded before the failure
+     * @param {number} details.itemsFetched - Items yielded before the failure
+     * @param {Error} details.cause - The page's error
+     */
+    constructor({ resumeUrl, pagesFetched, itemsFetched, cause }) {
+        super(`Pagination failed after ${pagesFetched} pages at ${resumeUrl}: ${cause.message}`, { cause });
+        this.name = 'PaginationError';
+        this.resumeUrl = resumeUrl;
+        this.pagesFetched = pagesFetched;
+        this.itemsFetched = itemsFetched;
+    }
+}
+
+/**
+ * Parses an RFC 8288 Link header
+ * 
+ * @param {string|null} header - Link header value
+ * @param {string} [baseUrl] - URL that relative links are resolved against
+ * @returns {Object} Map of rel to URL, e.g. { next: 'https://...', last: 'https://...' }
+ */
+function parseLinkHeader(header, baseUrl) {
+    const links = {};
+    
+    if (!header) {
+        return links;
+    }
+    
+    for (const match of header.matchAll(/<([^>]*)>([^,]*)/g)) {
+        const rel = /;\s*rel="?([^";]+)"?/i.exec(match[2]);
+        if (!rel) {
+            continue;
+        }
+        
+        const target = baseUrl ? new URL(match[1], baseUrl).href : match[1];
+        for (const name of rel[1].trim().toLowerCase().split(/\s+/)) {
+            links[name] = target;
+        }
+    }
+    
+    return links;
+}
+
+/**
+ * Default next-page strategy: follow the Link header's rel="next"
+ * 
+ * @param {Response} response - The page's response
+ * @returns {string|null} Next page URL
+ */
+function getNextPageFromLink(response) {
+    return parseLinkHeader(response.headers.get('link')).next || null;
+}
+
+/**
+ * Default item extraction: the body itself if it is an array, otherwise its
+ * `items` or `data` array
+ * 
+ * @param {any} body - Parsed page body
+ * @returns {Array} The page's items
+ */
+function getPageItems(body) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+    if (body && Array.isArray(body.items)) {
+        return body.items;
+    }
+    if (body && Array.isArray(body.data)) {
+        return body.data;
+    }
+    return [];
+}
+
+/**
+ * Iterates over a paginated API, fetching each page with its own retries
+ * 
+ * Yields one object per page: `{ url, pageNumber, data, items }`. By default
+ * it follows `Link: <...>; rel="next"`; pass `getNextPage` for cursor or
+ * offset/limit APIs. If a page fails after its retries, a PaginationError
+ * with `resumeUrl` is thrown so the walk can be resumed from that page.
+ * 
+ * @param {string} url - URL of the first page (or a resumeUrl)
+ * @param {Object} [options] - Retry options for every page, plus:
+ * @param {Function} [options.getNextPage] - `(response, body, page) => url | null`; may be async.
+ *   A relative URL is resolved against the current page
+ * @param {Function} [options.getItems] - `(body) => Array` extracting a page's items
+ * @param {number} [options.maxPages=Infinity] - Stop after this many pages
+ * @param {number} [options.maxItems=Infinity] - Stop after this many items (the last page is truncated)
+ * @yields {Object} { url, pageNumber, data, items }
+ * @throws {PaginationError} If a page fails after its retries
+ * 
+ * @example
+ * // Cursor-based API: { results: [...], next_cursor: 'abc' }
+ * for await (const page of paginate('https://api.example.com/users', {
+ *   getItems: body => body.results,
+ *   getNextPage: (response, body) => body.next_cursor
+ *     ? `https://api.example.com/users?cursor=${body.next_cursor}`
+ *     : null,
+ *   maxItems: 500
+ * })) {
+ *   handle(page.items);
+ * }
+ */
+async function* paginate(url, options = {}) {
+    if (typeof url !== 'string' || !url.trim()) {
+        throw new TypeError('URL must be a non-empty string');
+    }
+    
+    const {
+        getNextPage = getNextPageFromLink,
+        getItems = getPageItems,
+        maxPages = Infinity,
+        maxItems = Infinity,
+        ...retryOverrides
+    } = options;
+    
+    if (typeof getNextPage !== 'function' || typeof getItems !== 'function') {
+        throw new TypeError('getNextPage and getItems must be functions');
+    }
+    for (const [name, value] of [['maxPages', maxPages], ['maxItems', maxItems]]) {
+        if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+            throw new TypeError(`${name} must be a non-negative number`);
+        }
+    }
+    
+    const retryOptions = normalizeRetryOptions(retryOverrides);
+    let pageUrl = url;
+    let pagesFetched = 0;
+    let itemsFetched = 0;
+    
+    while (pageUrl && pagesFetched < maxPages && itemsFetched < maxItems) {
+        let response;
+        let data;
+        
+        try {
+            ({ response, data } = await requestWithRetry(pageUrl, retryOptions));
+        } catch (error) {
+            // Cancellation is the caller's decision, not a resumable failure
+            if (error instanceof AbortError) {
+                throw error;
+            }
+            throw new PaginationError({ resumeUrl: pageUrl, pagesFetched, itemsFetched, cause: error });
+        }
+        
+        const items = getItems(data).slice(0, maxItems - itemsFetched);
+        pagesFetched++;
+        itemsFetched += items.length;
+        
+        const page = { url: pageUrl, pageNumber: pagesFetched, data, items };
+        const next = await getNextPage(response, data, page);
+        
+        yield page;
+        
+        pageUrl = next ? new URL(next, pageUrl).href : null;
+    }
+}
+
+/**
+ * Stream formats understood by fetchStream()
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+const STREAM_FORMATS = ['auto', 'ndjson', 'sse'];
+
+/**
+ * Reads a response body as lines of text
+ * 
+ * Only complete lines are yielded: a line cut off by a dropped connection is
+ * discarded, while the last line of a body that ends cleanly is kept.
+ * 
+ * @param {ReadableStream|null} body - The response body
+ * @param {AbortSignal} signal - Stops reading when aborted
+ * @returns {AsyncGenerator<string>} Lines without their line terminators
+ */
+async function* readLines(body, signal) {
+    if (!body) {
+        return;
+    }
+    
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    
+    try {
+        while (true) {
+            const { done, value } = await raceSignal(reader.read(), signal);
+            if (done) {
+                break;
+            }
+            
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            
+            for (const line of lines) {
+                yield line.endsWith('\r') ? line.slice(0, -1) : line;
+            }
+        }
+        
+        buffered += decoder.decode();
+        if (buffered) {
+            yield buffered.endsWith('\r') ? buffered.slice(0, -1) : buffered;
+        }
+    } finally {
+        // Closes the connection if we stopped early; a failed stream rejects, which is fine
+        reader.cancel().catch(() => {});
+    }
 }
 
 /**
- * Fetches data from a URL with automatic retry logic
+ * Parses newline-delimited JSON, tracking the resume offset
  * 
- * @param {string} url - The URL to fetch data from
- * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
- * @returns {Promise<any>} The fetched data
- * @throws {Error} If all retry attempts fail
+ * @param {AsyncIterable<string>} lines - Body lines
+ * @param {Object} state - Resume state; `offset` is updated per record
+ * @param {Function} [getOffset] - Returns the offset to resume from after a record
+ * @returns {AsyncGenerator<any>} Parsed records
+ */
+async function* parseNdjson(lines, state, getOffset) {
+    for await (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        
+        const record = JSON.parse(line);
+        if (getOffset) {
+            state.offset = getOffset(record);
+        }
+        yield record;
+    }
+}
+
+/**
+ * Parses a text/event-stream body following the Server-Sent Events rules
+ * 
+ * The last event ID only moves forward when an event is dispatched, so an
+ * event cut off by a dropped connection is requested again on reconnect.
+ * 
+ * @param {AsyncIterable<string>} lines - Body lines
+ * @param {Object} state - Resume state; `lastEventId` and `retry` are updated
+ * @returns {AsyncGenerator<Object>} Events as { event, data, id }
+ */
+async function* parseEventStream(lines, state) {
+    let data = [];
+    let eventType = '';
+    let pendingId = state.lastEventId;
+    
+    for await (const line of lines) {
+        // A blank line dispatches the event collected so far
+        if (line === '') {
+            state.lastEventId = pendingId;
+            if (data.length > 0) {
+                yield { event: eventType || 'message', data: data.join('\n'), id: pendingId };
+            }
+            data = [];
+            eventType = '';
+            continue;
+        }
+        
+        // Comments (often used as keep-alives)
+        if (line.startsWith(':')) {
+            continue;
+        }
+        
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+        
+        switch (field) {
+            case 'data':
+                data.push(value);
+                break;
+            case 'event':
+                eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    pendingId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    state.retry = Number(value);
+                }
+                break;
+            default:
+                // Unknown fields are ignored
+        }
+    }
+}
+
+/**
+ * Consumes a long-lived NDJSON or Server-Sent Events response as an async
+ * iterator, reconnecting when the connection drops
+ * 
+ * Each connection is opened with the normal retry options, so failures to
+ * connect are retried with backoff. When an open stream drops, it reconnects
+ * after a backoff wait (or the server's SSE `retry:` value) and resumes: SSE
+ * sends `Last-Event-ID`, NDJSON adds the last offset from `getOffset` as a
+ * query parameter. An event stream the server closes cleanly is reconnected
+ * the same way, until the server answers 204 No Content; an NDJSON stream
+ * that ends cleanly finishes the iteration. Drops and closes without any
+ * new record in between count towards `maxRetries`.
+ * 
+ * @param {string} url - The stream URL
+ * @param {Object} [options] - Retry options (see fetchWithRetry) plus:
+ * @param {string} [options.format='auto'] - 'ndjson', 'sse', or 'auto' to go by Content-Type
+ * @param {string} [options.lastEventId] - SSE event ID to resume after on the first connection
+ * @param {Function} [options.getOffset] - NDJSON: `(record) => offset` to resume from once the
+ *   record has been delivered (e.g. `record.seq + 1`)
+ * @param {string|number} [options.offset] - NDJSON: offset for the first connection
+ * @param {string} [options.offsetParam='offset'] - Query parameter carrying the offset
+ * @returns {AsyncGenerator<any>} NDJSON records, or SSE events as { event, data, id }
+ * @throws {RetryExhaustedError} If connecting or reconnecting keeps failing
+ * @throws {AbortError} If the signal is aborted
+ * @throws {SyntaxError} If an NDJSON line is not valid JSON
  * 
  * @example
- * try {
- *   const data = await fetchWithRetry('https://api.example.com/data', 3);
- *   console.log(data);
- * } catch (error) {
- *   console.error('Failed after all retries:', error.message);
+ * for await (const event of fetchStream('https://api.example.com/events', { format: 'sse' })) {
+ *   console.log(event.id, JSON.parse(event.data));
  * }
  */
-async function fetchWithRetry(url, maxRetries = 3) {
-    // Input validation
+async function* fetchStream(url, options = {}) {
     if (typeof url !== 'string' || !url.trim()) {
         throw new TypeError('URL must be a non-empty string');
     }
     
-    if (typeof maxRetries !== 'number' || maxRetries < 0) {
-        throw new TypeError('maxRetries must be a non-negative number');
+    const {
+        format = 'auto',
+        lastEventId,
+        getOffset,
+        offset,
+        offsetParam = 'offset',
+        ...retryOverrides
+    } = options;
+    
+    if (!STREAM_FORMATS.includes(format)) {
+        throw new TypeError(`format must be one of: ${STREAM_FORMATS.join(', ')}`);
+    }
+    if (getOffset !== undefined && typeof getOffset !== 'function') {
+        throw new TypeError('getOffset must be a function');
     }
     
-    let lastError;
+    // The body is read here, so the retry loop hands back the unread response
+    const retryOptions = normalizeRetryOptions({ ...retryOverrides, responseType: 'response' });
+    const { clock, logger } = retryOptions;
+    const scope = createScopedSignal(retryOptions.signal, {
+        mapParentReason: reason => new AbortError('The stream was aborted', { cause: reason }),
+        clock
+    });
+    const state = { lastEventId, offset, retry: undefined };
+    const startTime = clock.now();
+    const drops = [];
+    let previousDelay;
     
-    // Attempt fetch with retries
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            // Attempt to fetch the data
-            const response = await fetch(url);
+    try {
+        while (true) {
+            const headers = {};
+            if (!retryOptions.headers.accept) {
+                headers.accept = format === 'sse' ? 'text/event-stream'
+                    : format === 'ndjson' ? 'application/x-ndjson'
+                        : 'text/event-stream, application/x-ndjson';
+            }
+            if (state.lastEventId) {
+                headers['last-event-id'] = state.lastEventId;
+            }
             
-            // Check if response is ok (status 200-299)
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            let streamUrl = url;
+            if (state.offset !== undefined) {
+                const resumeUrl = new URL(url);
+                resumeUrl.searchParams.set(offsetParam, String(state.offset));
+                streamUrl = resumeUrl.href;
             }
             
-            // Parse and return the JSON data
-            const data = await response.json();
-            return data;
+            const { response } = await requestWithRetry(streamUrl, retryOptions, headers);
             
-        } catch (error) {
-            lastError = error;
+            // 204 No Content is how a server tells stream clients to stop reconnecting
+            if (response.status === 204) {
+                return;
+            }
             
-            // If this is not the last attempt, wait before retrying
-            if (attempt < maxRetries) {
-                console.log(`Attempt ${attempt + 1} failed. Retrying in 1 second...`);
-                await delay(1000); // Wait 1 second between retries
-            } else {
-                // All retries exhausted
-                console.log(`All ${maxRetries + 1} attempts failed.`);
+            const connectedAt = clock.now();
+            const isEventStream = format === 'auto'
+                ? (response.headers.get('content-type') || '').includes('text/event-stream')
+                : format === 'sse';
+            const lines = readLines(response.body, scope.signal);
+            const records = isEventStream ? parseEventStream(lines, state) : parseNdjson(lines, state, getOffset);
+            let error;
+            
+            try {
+                for await (const record of records) {
+                    drops.length = 0;
+                    yield record;
+                }
+                
+                // An NDJSON body is complete when it ends; an event stream is
+                // reconnected, as EventSource does
+                if (!isEventStream) {
+                    return;
+                }
+                error = new Error('The server closed the event stream');
+            } catch (caught) {
+                if (caught instanceof SyntaxError && !scope.signal.aborted) {
+                    throw caught;
+                }
+                error = caught;
+            }
+            
+            if (scope.signal.aborted) {
+                throw scope.signal.reason;
+            }
+            
+            drops.push({ attempt: drops.length + 1, error, duration: clock.now() - connectedAt, delay: null });
+            if (drops.length > retryOptions.maxRetries) {
+                throw new RetryExhaustedError(drops, url);
+            }
+            
+            const waitMs = state.retry !== undefined
+                ? state.retry
+                : computeBackoff(drops.length, retryOptions, previousDelay, retryOptions.random);
+            drops[drops.length - 1].delay = waitMs;
+            previousDelay = waitMs;
+            
+            logger.info(`Stream ${url} dropped: ${error.message}. Reconnecting in ${waitMs}ms...`);
+            callHook(retryOptions, 'onRetry', {
+                url, attempt: drops.length, error, delay: waitMs, elapsed: clock.now() - startTime
+            });
+            await delay(waitMs, scope.signal, clock);
+        }
+    } finally {
+        scope.cleanup();
+    }
+}
+
+/**
+ * Creates a deterministic random number generator (mulberry32)
+ * 
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+    if (!Number.isInteger(seed)) {
+        throw new TypeError('seed must be an integer');
+    }
+    
+    let state = seed >>> 0;
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Lets pending promise callbacks run before the fake clock moves on
+ * 
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function flushPendingWork() {
+    return new Promise(resolve => (typeof setImmediate === 'function' ? setImmediate : setTimeout)(resolve));
+}
+
+/**
+ * Creates a manually driven clock for tests
+ * 
+ * Pass it as the `clock` option (and to createMockTransport / CircuitBreaker)
+ * and time only moves when the test calls advance() or runAll(), so retry
+ * sequences with long backoffs finish instantly and deterministically.
+ * 
+ * @param {number} startTime - Initial value of now() in milliseconds (default: 0)
+ * @returns {Object} { now, setTimeout, clearTimeout, advance, runAll, pendingTimers }
+ * 
+ * @example
+ * const clock = createFakeClock();
+ * const result = fetchWithRetry(url, { fetch: transport, clock });
+ * await clock.runAll();
+ * console.log(await result, clock.now());
+ */
+function createFakeClock(startTime = 0) {
+    let now = startTime;
+    let nextId = 1;
+    
+    // Scheduled callbacks
+    // Structure: { id: { at, callback } }
+    const timers = new Map();
+    
+    const nextTimer = () => {
+        let next = null;
+        for (const [id, timer] of timers) {
+            if (!next || timer.at < next.at) {
+                next = { id, ...timer };
+            }
+        }
+        return next;
+    };
+    
+    const fire = timer => {
+        timers.delete(timer.id);
+        now = timer.at;
+        timer.callback();
+    };
+    
+    return {
+        now: () => now,
+        
+        setTimeout(callback, ms = 0) {
+            const id = nextId++;
+            timers.set(id, { at: now + Math.max(0, ms), callback });
+            return id;
+        },
+        
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        
+        /**
+         * Number of timers waiting to fire
+         * @returns {number}
+         */
+        get pendingTimers() {
+            return timers.size;
+        },
+        
+        /**
+         * Moves time forward, firing every timer that falls due on the way
+         * 
+         * @param {number} ms - Milliseconds to advance
+         */
+        async advance(ms) {
+            const target = now + ms;
+            
+            await flushPendingWork();
+            for (let next = nextTimer(); next && next.at <= target; next = nextTimer()) {
+                fire(next);
+                await flushPendingWork();
+            }
+            now = target;
+        },
+        
+        /**
+         * Fires timers in order until none are left
+         * 
+         * @param {number} limit - Maximum number of timers to fire (default: 1000)
+         * @throws {Error} If timers keep being scheduled past the limit
+         */
+        async runAll(limit = 1000) {
+            for (let fired = 0; fired < limit; fired++) {
+                await flushPendingWork();
+                const next = nextTimer();
+                if (!next) {
+                    return;
+                }
+                fire(next);
             }
+            throw new Error(`Fake clock fired ${limit} timers without running out`);
         }
+    };
+}
+
+/**
+ * Turns one script step into a normalized outcome
+ * 
+ * Shorthands: a number is a status code, 'network' a connection error and
+ * 'hang' a request that never answers (until aborted or timed out).
+ * 
+ * @param {number|string|Object} step - Script step
+ * @returns {Object} { status, body, headers, latency, error, hang }
+ */
+function normalizeOutcome(step) {
+    if (typeof step === 'number') {
+        return { status: step };
+    }
+    if (step === 'network') {
+        return { error: 'network' };
     }
+    if (step === 'hang') {
+        return { hang: true };
+    }
+    if (step === null || typeof step !== 'object') {
+        throw new TypeError(`Invalid mock transport step: ${step}`);
+    }
+    return step;
+}
+
+/**
+ * Builds a fetch Response for a scripted outcome
+ * 
+ * @param {Object} outcome - Normalized outcome
+ * @returns {Response} The response
+ */
+function createMockResponse({ status = 200, body, headers = {} }) {
+    const responseHeaders = new Headers(headers);
+    let payload = null;
     
-    // Throw error after all retries are exhausted
-    throw new Error(`Failed to fetch data after ${maxRetries + 1} attempts. Last error: ${lastError.message}`);
+    // Null-body statuses (204, 304...) can't carry a payload
+    if (![101, 204, 205, 304].includes(status)) {
+        if (typeof body === 'string') {
+            payload = body;
+        } else if (body !== undefined) {
+            payload = JSON.stringify(body);
+            if (!responseHeaders.has('content-type')) {
+                responseHeaders.set('content-type', 'application/json');
+            }
+        } else {
+            payload = status < 400 ? '{}' : '';
+        }
+    }
+    
+    return new Response(payload, { status, headers: responseHeaders });
+}
+
+/**
+ * Creates a deterministic fetch-compatible transport for tests
+ * 
+ * Either follows a script of outcomes, one per request, or (with `seed`)
+ * draws outcomes from a seeded RNG so "random" failures are reproducible.
+ * Every request is recorded in `transport.calls`.
+ * 
+ * Script steps: a status code (`503`), `'network'`, `'hang'`, or an object
+ * `{ status, body, headers, latency, error }` where `error` is a message for
+ * a network failure or an Error to reject with.
+ * 
+ * @param {Array|Object} scriptOrOptions - Script array, or options
+ * @param {Array} [scriptOrOptions.script] - Outcomes in request order
+ * @param {number} [scriptOrOptions.seed] - Seed for random outcomes when there is no script
+ * @param {number} [scriptOrOptions.successRate=0.5] - Success probability in seeded mode
+ * @param {number|number[]} [scriptOrOptions.latency=0] - Latency in ms, or a [min, max] range
+ * @param {Object} [scriptOrOptions.clock] - Clock used for latency (default: the system clock)
+ * @returns {Function} fetch-compatible function with `calls` and `remaining` properties
+ * 
+ * @example
+ * const transport = createMockTransport([503, 'network', { status: 200, body: { id: 1 } }]);
+ * const data = await fetchWithRetry(url, { fetch: transport, baseDelay: 0 });
+ * // data => { id: 1 }, transport.calls.length => 3
+ */
+function createMockTransport(scriptOrOptions = []) {
+    const options = Array.isArray(scriptOrOptions) ? { script: scriptOrOptions } : scriptOrOptions;
+    const { script, seed, successRate = 0.5, latency = 0, clock = systemClock } = options;
+    
+    if (!Array.isArray(script) && !Number.isInteger(seed)) {
+        throw new TypeError('createMockTransport needs a script array or an integer seed');
+    }
+    
+    const random = Number.isInteger(seed) ? createSeededRandom(seed) : Math.random;
+    const steps = Array.isArray(script) ? script.map(normalizeOutcome) : null;
+    const calls = [];
+    
+    const pickLatency = () => (Array.isArray(latency)
+        ? Math.round(latency[0] + random() * (latency[1] - latency[0]))
+        : latency);
+    
+    // Seeded mode: success, or a 503 / network failure
+    const randomOutcome = () => {
+        if (random() < successRate) {
+            return { status: 200, body: { id: calls.length, message: 'Mock API call succeeded' } };
+        }
+        return random() < 0.5 ? { status: 503 } : { error: 'network' };
+    };
+    
+    async function transport(url, init = {}) {
+        const { signal } = init;
+        calls.push({
+            url: String(url),
+            method: (init.method || 'GET').toUpperCase(),
+            headers: Object.fromEntries(new Headers(init.headers)),
+            body: init.body,
+            time: clock.now()
+        });
+        
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+        
+        let outcome;
+        if (steps) {
+            if (steps.length === 0) {
+                throw new Error(`Mock transport script exhausted at request ${calls.length}`);
+            }
+            outcome = steps.shift();
+        } else {
+            outcome = randomOutcome();
+        }
+        
+        if (outcome.hang) {
+            // Only an abort (timeout or cancellation) ends a hung request
+            await new Promise((resolve, reject) => {
+                if (signal) {
+                    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+                }
+            });
+        }
+        
+        const wait = outcome.latency !== undefined ? outcome.latency : pickLatency();
+        if (wait > 0) {
+            await delay(wait, signal, clock);
+        }
+        
+        if (outcome.error instanceof Error) {
+            throw outcome.error;
+        }
+        if (outcome.error) {
+            throw new TypeError('fetch failed', { cause: new Error(outcome.error === 'network' ? 'ECONNRESET' : outcome.error) });
+        }
+        
+        return createMockResponse(outcome);
+    }
+    
+    transport.calls = calls;
+    Object.defineProperty(transport, 'remaining', {
+        get: () => (steps ? steps.length : Infinity)
+    });
+    
+    return transport;
+}
+
+/**
+ * Request headers replaced with a placeholder when recording fixtures
+ */
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+/**
+ * Error thrown by a replay transport when no fixture matches a request
+ * 
+ * It is never retried: a missing fixture won't appear on the next attempt.
+ */
+class FixtureMissError extends Error {
+    /**
+     * @param {string} message - Description of the unmatched request
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'FixtureMissError';
+    }
+}
+
+/**
+ * Converts a request body to the string stored in a fixture
+ * 
+ * @param {any} body - Body passed to the transport
+ * @returns {string|null} The body, or null if there is none (or it isn't text)
+ */
+function serializeFixtureBody(body) {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    if (typeof body === 'string') {
+        return body;
+    }
+    if (body instanceof URLSearchParams) {
+        return body.toString();
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        return new TextDecoder().decode(body);
+    }
+    return null;
+}
+
+/**
+ * Replaces credential header values with a placeholder
+ * 
+ * @param {Object} headers - Plain header object with lower-case names; changed in place
+ * @param {string[]} names - Header names to redact (lower-case)
+ * @returns {Object} The same headers object
+ */
+function redactFixtureHeaders(headers, names) {
+    for (const name of names) {
+        if (headers[name] !== undefined) {
+            headers[name] = '[REDACTED]';
+        }
+    }
+    return headers;
+}
+
+/**
+ * Creates a transport that forwards requests to a real fetch and records
+ * every request/response pair for replay
+ * 
+ * Call `save()` once done to write the fixture file. Credentials in
+ * Authorization, Cookie and API-key request headers and in Set-Cookie
+ * response headers are redacted.
+ * 
+ * @param {string} fixturePath - JSON file to write
+ * @param {Object} [options] - Recorder options
+ * @param {Function} [options.fetch=fetch] - Transport that does the real work
+ * @param {string[]} [options.redactHeaders] - Header names to redact (lower-case)
+ * @param {Object} [options.clock] - Clock used to time responses (default: the system clock)
+ * @returns {Function} fetch-compatible function with `entries` and `save()`
+ * 
+ * @example
+ * const recorder = createRecordingTransport('fixtures/users.json');
+ * await fetchWithRetry('https://api.example.com/users', { fetch: recorder });
+ * recorder.save();
+ */
+function createRecordingTransport(fixturePath, { fetch: inner = fetch, redactHeaders = REDACTED_HEADERS, clock = systemClock } = {}) {
+    if (typeof fixturePath !== 'string' || !fixturePath) {
+        throw new TypeError('fixturePath must be a non-empty string');
+    }
+    
+    const entries = [];
+    
+    async function transport(url, init = {}) {
+        const headers = redactFixtureHeaders(Object.fromEntries(new Headers(init.headers)), redactHeaders);
+        
+        const request = {
+            method: (init.method || 'GET').toUpperCase(),
+            url: String(url),
+            headers,
+            body: serializeFixtureBody(init.body)
+        };
+        const start = clock.now();
+        let response;
+        
+        try {
+            response = await inner(url, init);
+        } catch (error) {
+            // Our own cancellations say nothing about the server
+            if (!(init.signal && init.signal.aborted)) {
+                entries.push({ request, error: error.message, latency: clock.now() - start });
+            }
+            throw error;
+        }
+        
+        // Record from a copy so the caller still gets an unread body
+        const bytes = new Uint8Array(await response.clone().arrayBuffer());
+        let body;
+        let bodyEncoding = 'utf8';
+        try {
+            body = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            body = Buffer.from(bytes).toString('base64');
+            bodyEncoding = 'base64';
+        }
+        
+        // The stored body is already decoded, so its transfer details no longer apply
+        const responseHeaders = Object.fromEntries(response.headers);
+        for (const name of ['content-encoding', 'content-length', 'transfer-encoding']) {
+            delete responseHeaders[name];
+        }
+        redactFixtureHeaders(responseHeaders, redactHeaders);
+        
+        entries.push({
+            request,
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: responseHeaders,
+                body,
+                bodyEncoding
+            },
+            latency: clock.now() - start
+        });
+        
+        return response;
+    }
+    
+    transport.entries = entries;
+    
+    /**
+     * Writes the recorded entries to the fixture file, creating its directory
+     */
+    transport.save = () => {
+        const fs = require('fs');
+        const path = require('path');
+        
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, `${JSON.stringify({ version: 1, entries }, null, 2)}\n`);
+    };
+    
+    return transport;
+}
+
+/**
+ * Normalizes a URL for lenient matching: query parameters in any order,
+ * no fragment
+ * 
+ * @param {string} url - The URL
+ * @returns {string} Normalized URL
+ */
+function normalizeFixtureUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.searchParams.sort();
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Compares request bodies for lenient matching: JSON bodies by value,
+ * anything else by text
+ * 
+ * @param {string|null} a - First body
+ * @param {string|null} b - Second body
+ * @returns {boolean} True if the bodies are equivalent
+ */
+function fixtureBodiesMatch(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null) {
+        return false;
+    }
+    
+    try {
+        const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+            : value);
+        return JSON.stringify(JSON.parse(a), sortKeys) === JSON.stringify(JSON.parse(b), sortKeys);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a failure-injection rule applies to a request
+ * 
+ * @param {Object} rule - { method, url } where url is a string (substring) or RegExp
+ * @param {Object} request - { method, url }
+ * @returns {boolean} True if the rule applies
+ */
+function failureRuleMatches(rule, request) {
+    if (rule.method && rule.method.toUpperCase() !== request.method) {
+        return false;
+    }
+    if (rule.url instanceof RegExp) {
+        return rule.url.test(request.url);
+    }
+    return !rule.url || request.url.includes(rule.url);
+}
+
+/**
+ * Creates a transport that serves recorded fixtures instead of the network
+ * 
+ * Requests are matched on method, URL and body:
+ * - strict: exact URL and body; each fixture is served once, in order
+ * - lenient: query parameter order and JSON formatting are ignored, and the
+ *   last matching fixture is served again once all have been used
+ * 
+ * `failures` injects outcomes before the fixtures are consulted, e.g.
+ * `{ url: '/users', times: 2, outcome: 503 }` to exercise the retry path.
+ * Outcomes use the createMockTransport step format.
+ * 
+ * @param {string|Object} fixtures - Fixture file path, or its parsed contents
+ * @param {Object} [options] - Replay options
+ * @param {string} [options.match='strict'] - 'strict' or 'lenient'
+ * @param {Object[]} [options.failures] - Rules `{ method, url, times = 1, outcome }`
+ * @param {boolean} [options.replayLatency=false] - Wait for each entry's recorded latency
+ * @param {Object} [options.clock] - Clock used for latency (default: the system clock)
+ * @returns {Function} fetch-compatible function with `calls` and `unused` properties
+ * @throws {FixtureMissError} (from the transport) If no fixture matches a request
+ * 
+ * @example
+ * const transport = createReplayTransport('fixtures/users.json', {
+ *   failures: [{ url: '/users', times: 2, outcome: 503 }]
+ * });
+ * const users = await fetchWithRetry('https://api.example.com/users', { fetch: transport });
+ */
+function createReplayTransport(fixtures, { match = 'strict', failures = [], replayLatency = false, clock = systemClock } = {}) {
+    const fixture = typeof fixtures === 'string'
+        ? JSON.parse(require('fs').readFileSync(fixtures, 'utf8'))
+        : fixtures;
+    
+    if (!fixture || !Array.isArray(fixture.entries)) {
+        throw new TypeError('fixtures must be a fixture file path or an object with an entries array');
+    }
+    if (match !== 'strict' && match !== 'lenient') {
+        throw new TypeError("match must be 'strict' or 'lenient'");
+    }
+    
+    const entries = fixture.entries.map(entry => ({ ...entry, used: false }));
+    const rules = failures.map(rule => ({ ...rule, remaining: rule.times === undefined ? 1 : rule.times }));
+    const calls = [];
+    
+    const matches = (entry, request) => {
+        if (entry.request.method !== request.method) {
+            return false;
+        }
+        if (match === 'strict') {
+            return entry.request.url === request.url && entry.request.body === request.body;
+        }
+        return normalizeFixtureUrl(entry.request.url) === normalizeFixtureUrl(request.url) &&
+            fixtureBodiesMatch(entry.request.body, request.body);
+    };
+    
+    async function transport(url, init = {}) {
+        const request = {
+            method: (init.method || 'GET').toUpperCase(),
+            url: String(url),
+            body: serializeFixtureBody(init.body)
+        };
+        calls.push({ ...request, headers: Object.fromEntries(new Headers(init.headers)), time: clock.now() });
+        
+        const rule = rules.find(candidate => candidate.remaining > 0 && failureRuleMatches(candidate, request));
+        if (rule) {
+            rule.remaining--;
+            return createMockTransport({ script: [rule.outcome], clock })(url, init);
+        }
+        
+        const candidates = entries.filter(entry => matches(entry, request));
+        const entry = candidates.find(candidate => !candidate.used) ||
+            (match === 'lenient' ? candidates[candidates.length - 1] : undefined);
+        
+        if (!entry) {
+            throw new FixtureMissError(candidates.length > 0
+                ? `All fixtures for ${request.method} ${request.url} have been used`
+                : `No fixture matches ${request.method} ${request.url}`);
+        }
+        entry.used = true;
+        
+        if (replayLatency && entry.latency > 0) {
+            await delay(entry.latency, init.signal, clock);
+        }
+        if (init.signal && init.signal.aborted) {
+            throw init.signal.reason;
+        }
+        
+        if (entry.error) {
+            throw new TypeError('fetch failed', { cause: new Error(entry.error) });
+        }
+        
+        const { status, statusText, headers, body, bodyEncoding } = entry.response;
+        const payload = [101, 204, 205, 304].includes(status)
+            ? null
+            : (bodyEncoding === 'base64' ? Buffer.from(body, 'base64') : body);
+        return new Response(payload, { status, statusText, headers });
+    }
+    
+    transport.calls = calls;
+    Object.defineProperty(transport, 'unused', {
+        get: () => entries.filter(entry => !entry.used).map(({ request }) => `${request.method} ${request.url}`)
+    });
+    
+    return transport;
 }
 
 /**
  * Mock API call function that randomly succeeds or fails
  * Useful for testing retry logic without making actual HTTP requests
  * 
+ * Pass a seeded `random` (see createSeededRandom) and a fake `clock` to make
+ * the outcome and the simulated latency reproducible.
+ * 
  * @param {string} url - The URL (not used, but kept for API consistency)
  * @param {number} successRate - Probability of success (0.0 to 1.0, default: 0.3)
+ * @param {Object} [sources] - Randomness and time sources
+ * @param {Function} [sources.random=Math.random] - Random number source
+ * @param {Object} [sources.clock] - Clock for the simulated latency (default: the system clock)
  * @returns {Promise<any>} Mock data on success
  * @throws {Error} Randomly on failure
  */
-async function mockApiCall(url, successRate = 0.3) {
+async function mockApiCall(url, successRate = 0.3, { random = Math.random, clock = systemClock } = {}) {
     // Simulate network delay
-    await delay(Math.random() * 500 + 100); // 100-600ms delay
+    await delay(random() * 500 + 100, undefined, clock); // 100-600ms delay
     
     // Randomly succeed or fail based on successRate
-    if (Math.random() < successRate) {
+    if (random() < successRate) {
         // Success - return mock data
         return {
             success: true,
             data: {
-                id: Math.floor(Math.random() * 1000),
+                id: Math.floor(random() * 1000),
                 message: 'Mock API call succeeded',
-                timestamp: new Date().toISOString()
+                timestamp: new Date(clock.now()).toISOString()
             },
             url: url
         };
@@ -109,7 +4031,7 @@ async function mockApiCall(url, successRate = 0.3) {
             'Server error',
             'Request failed'
         ];
-        const randomError = errors[Math.floor(Math.random() * errors.length)];
+        const randomError = errors[Math.floor(random() * errors.length)];
         throw new Error(randomError);
     }
 }
@@ -119,46 +4041,31 @@ async function mockApiCall(url, successRate = 0.3) {
  * This is useful for testing without making actual HTTP requests
  * 
  * @param {string} url - The URL (for logging purposes)
- * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+ * @param {number|Object} [options] - Maximum number of retry attempts (default: 3), or an
+ *   options object accepting the same retry options as fetchWithRetry plus `successRate`
  * @param {number} successRate - Probability of success for mock function (default: 0.3)
  * @returns {Promise<any>} The fetched data
- * @throws {Error} If all retry attempts fail
+ * @throws {RetryExhaustedError} If all retry attempts fail
  */
-async function fetchWithRetryMock(url, maxRetries = 3, successRate = 0.3) {
+async function fetchWithRetryMock(url, options = 3, successRate = 0.3) {
     // Input validation
     if (typeof url !== 'string' || !url.trim()) {
         throw new TypeError('URL must be a non-empty string');
     }
     
-    if (typeof maxRetries !== 'number' || maxRetries < 0) {
-        throw new TypeError('maxRetries must be a non-negative number');
-    }
+    // successRate may be passed inside the options object instead of as a third argument
+    const isOptionsObject = options !== null && typeof options === 'object';
+    const { successRate: rate = successRate, ...retryOverrides } = isOptionsObject ? options : {};
+    const retryOptions = normalizeRetryOptions(isOptionsObject ? retryOverrides : options);
     
-    let lastError;
-    
-    // Attempt fetch with retries
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            // Use mock function instead of real fetch
-            const data = await mockApiCall(url, successRate);
-            return data;
-            
-        } catch (error) {
-            lastError = error;
-            
-            // If this is not the last attempt, wait before retrying
-            if (attempt < maxRetries) {
-                console.log(`Attempt ${attempt + 1} failed: ${error.message}. Retrying in 1 second...`);
-                await delay(1000); // Wait 1 second between retries
-            } else {
-                // All retries exhausted
-                console.log(`All ${maxRetries + 1} attempts failed.`);
-            }
-        }
+    // The mock's failures all stand in for network errors, so they are retried unless told otherwise
+    if (!isOptionsObject || retryOverrides.shouldRetry === undefined) {
+        retryOptions.shouldRetry = () => true;
     }
     
-    // Throw error after all retries are exhausted
-    throw new Error(`Failed to fetch data after ${maxRetries + 1} attempts. Last error: ${lastError.message}`);
+    // Use mock function instead of real fetch
+    const sources = { random: retryOptions.random, clock: retryOptions.clock };
+    return retryWithBackoff(() => mockApiCall(url, rate, sources), retryOptions, url);
 }
 
 // Export functions for use in other modules that use the dataFetcher module 
@@ -166,8 +4073,45 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         fetchWithRetry,
         fetchWithRetryMock,
+        fetchAll,
+        fetchMap,
+        paginate,
+        fetchStream,
+        parseLinkHeader,
+        PaginationError,
         mockApiCall,
-        delay
+        delay,
+        computeBackoff,
+        normalizeRetryOptions,
+        isRetryableError,
+        isNetworkError,
+        parseRetryAfter,
+        HttpError,
+        RetryExhaustedError,
+        ValidationError,
+        validateSchema,
+        AbortError,
+        TimeoutError,
+        CircuitBreaker,
+        CircuitOpenError,
+        RetryBudget,
+        MetricsCollector,
+        getMetrics,
+        getPrometheusMetrics,
+        CIRCUIT_STATES,
+        getDedupeKey,
+        IDEMPOTENT_METHODS,
+        MemoryCacheStore,
+        LatencyTracker,
+        parseCacheControl,
+        createMockTransport,
+        createRecordingTransport,
+        createReplayTransport,
+        FixtureMissError,
+        createFakeClock,
+        createSeededRandom,
+        systemClock,
+        silentLogger,
+        BACKOFF_STRATEGIES
     };
 }
-
@@ -2,7 +2,50 @@
  * Test suite for Async Data Fetcher with Retry
  */
 
-const { fetchWithRetry, fetchWithRetryMock, mockApiCall, delay } = require('./dataFetcher');
+const assert = require('assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    fetchWithRetry,
+    fetchWithRetryMock,
+    fetchAll,
+    fetchMap,
+    paginate,
+    fetchStream,
+    parseLinkHeader,
+    PaginationError,
+    mockApiCall,
+    delay,
+    computeBackoff,
+    normalizeRetryOptions,
+    isRetryableError,
+    parseRetryAfter,
+    AbortError,
+    TimeoutError,
+    HttpError,
+    RetryExhaustedError,
+    ValidationError,
+    validateSchema,
+    CircuitBreaker,
+    CircuitOpenError,
+    RetryBudget,
+    MetricsCollector,
+    getMetrics,
+    getPrometheusMetrics,
+    MemoryCacheStore,
+    LatencyTracker,
+    parseCacheControl,
+    createMockTransport,
+    createRecordingTransport,
+    createReplayTransport,
+    FixtureMissError,
+    createFakeClock,
+    createSeededRandom
+} = require('./dataFetcher');
+const { runCli, getExitCode, EXIT_CODES } = require('./cli');
+const { RateLimiter } = require('../task3-rate-limiter/rateLimiter');
 
 /**
  * Test helper to run async tests with error handling
@@ -21,14 +64,62 @@ async function runTest(testName, testFn) {
     }
 }
 
+/**
+ * Starts a local HTTP server for tests that need real responses
+ * 
+ * @param {Function} handler - Called with (req, res, requestNumber)
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+function startTestServer(handler) {
+    const state = { requests: 0 };
+    const server = http.createServer((req, res) => {
+        state.requests++;
+        handler(req, res, state.requests);
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}/`,
+                get requests() { return state.requests; },
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Runs a promise to completion on a fake clock
+ * 
+ * @param {Object} clock - Clock from createFakeClock()
+ * @param {Promise} promise - Promise driven by the clock
+ * @returns {Promise<any>} The promise's value (rethrows its error)
+ */
+async function runWithClock(clock, promise) {
+    const outcome = promise.then(value => ({ value }), error => ({ error }));
+    await clock.runAll();
+    const { value, error } = await outcome;
+    if (error) {
+        throw error;
+    }
+    return value;
+}
+
 /**
  * Test 1: Successful fetch on first attempt (using mock)
  */
 async function testSuccessfulFirstAttempt() {
     console.log('Testing successful fetch on first attempt...');
     
-    // Use high success rate to likely succeed on first try
-    const result = await fetchWithRetryMock('https://api.example.com/data', 3, 0.9);
+    const transport = createMockTransport([{ status: 200, body: { id: 1 } }]);
+    const result = await fetchWithRetry('https://api.example.com/data', { fetch: transport });
+    
+    assert.deepStrictEqual(result, { id: 1 });
+    assert.strictEqual(transport.calls.length, 1);
     console.log('Success! Result:', JSON.stringify(result, null, 2));
 }
 
@@ -37,10 +128,22 @@ async function testSuccessfulFirstAttempt() {
  */
 async function testSuccessfulAfterRetries() {
     console.log('Testing successful fetch after some retries...');
-    console.log('(This may take a few attempts due to randomness)');
     
-    // Use moderate success rate - might need retries
-    const result = await fetchWithRetryMock('https://api.example.com/data', 5, 0.4);
+    // Fail with a 503, then a network error, then succeed - with real 1 second waits on a fake clock
+    const clock = createFakeClock();
+    const transport = createMockTransport({
+        script: [503, 'network', { status: 200, body: { id: 2 } }],
+        clock
+    });
+    const result = await runWithClock(clock, fetchWithRetry('https://api.example.com/data', {
+        maxRetries: 5,
+        fetch: transport,
+        clock
+    }));
+    
+    assert.deepStrictEqual(result, { id: 2 });
+    assert.deepStrictEqual(transport.calls.map(call => call.time), [0, 1000, 2000]);
+    assert.strictEqual(clock.now(), 2000);
     console.log('Success after retries! Result:', JSON.stringify(result, null, 2));
 }
 
@@ -50,13 +153,19 @@ async function testSuccessfulAfterRetries() {
 async function testFailureAfterAllRetries() {
     console.log('Testing failure after all retries are exhausted...');
     
-    try {
-        // Use very low success rate to ensure failure
-        await fetchWithRetryMock('https://api.example.com/data', 2, 0.01);
-        console.log('ERROR: Should have thrown an error');
-    } catch (error) {
-        console.log('✓ Correctly threw error after all retries:', error.message);
-    }
+    const clock = createFakeClock();
+    const transport = createMockTransport({ script: [503, 503, 'network'], clock });
+    
+    await assert.rejects(
+        runWithClock(clock, fetchWithRetry('https://api.example.com/data', { maxRetries: 2, fetch: transport, clock })),
+        error => {
+            assert.ok(error instanceof RetryExhaustedError);
+            assert.deepStrictEqual(error.attempts.map(a => a.error.status), [503, 503, undefined]);
+            console.log('✓ Correctly threw error after all retries:', error.message);
+            return true;
+        }
+    );
+    assert.strictEqual(transport.remaining, 0);
 }
 
 /**
@@ -150,6 +259,1759 @@ async function testMockApiCall() {
     console.log(`Success rate: ${(successCount / iterations * 100).toFixed(1)}%`);
 }
 
+/**
+ * Test 8: Backoff strategies produce the expected delays
+ */
+async function testBackoffStrategies() {
+    console.log('Testing computeBackoff for every strategy...');
+    
+    const half = () => 0.5;
+    const base = { baseDelay: 100, maxDelay: 1000 };
+    const expected = {
+        constant: [100, 100, 100, 100],
+        linear: [100, 200, 300, 400],
+        exponential: [100, 200, 400, 800],
+        'full-jitter': [50, 100, 200, 400]
+    };
+    
+    for (const [backoff, delays] of Object.entries(expected)) {
+        const options = normalizeRetryOptions({ ...base, backoff });
+        const actual = [1, 2, 3, 4].map(retry => computeBackoff(retry, options, undefined, half));
+        assert.deepStrictEqual(actual, delays, `${backoff} delays`);
+        console.log(`✓ ${backoff}: ${actual.join(', ')}ms`);
+    }
+    
+    // Decorrelated jitter grows from the previous delay and stays within [baseDelay, maxDelay]
+    const decorrelated = normalizeRetryOptions({ ...base, backoff: 'decorrelated-jitter' });
+    assert.strictEqual(computeBackoff(1, decorrelated, 100, half), 200);
+    assert.strictEqual(computeBackoff(2, decorrelated, 200, half), 350);
+    assert.strictEqual(computeBackoff(3, decorrelated, 900, () => 0.99), 1000);
+    console.log('✓ decorrelated-jitter stays within bounds');
+    
+    // Exponential growth is capped at maxDelay
+    const capped = normalizeRetryOptions({ ...base, backoff: 'exponential' });
+    assert.strictEqual(computeBackoff(10, capped), 1000);
+    console.log('✓ Delays are capped at maxDelay');
+}
+
+/**
+ * Test 9: Options object, legacy maxRetries argument and elapsed time cap
+ */
+async function testRetryOptions() {
+    console.log('Testing retry options...');
+    
+    // Legacy number argument still maps to maxRetries with a 1 second constant delay
+    const legacy = normalizeRetryOptions(2);
+    assert.strictEqual(legacy.maxRetries, 2);
+    assert.strictEqual(legacy.backoff, 'constant');
+    assert.strictEqual(legacy.baseDelay, 1000);
+    console.log('✓ Legacy (url, maxRetries) call is still supported');
+    
+    // Options object with a fast exponential backoff
+    const start = Date.now();
+    await assert.rejects(
+        fetchWithRetryMock('https://api.example.com/data', {
+            maxRetries: 2,
+            backoff: 'exponential',
+            baseDelay: 10,
+            successRate: 0
+        }),
+        /after 3 attempts/
+    );
+    console.log(`✓ Exhausted 3 attempts with exponential backoff in ${Date.now() - start}ms`);
+    
+    // The elapsed time cap stops retrying before the next wait would overrun it
+    await assert.rejects(
+        fetchWithRetryMock('https://api.example.com/data', {
+            maxRetries: 5,
+            baseDelay: 1000,
+            maxElapsedTime: 500,
+            successRate: 0
+        }),
+        /after 1 attempts/
+    );
+    console.log('✓ maxElapsedTime stops retries early');
+    
+    // Invalid options are rejected up front
+    await assert.rejects(fetchWithRetryMock('https://api.example.com', { backoff: 'random' }), TypeError);
+    await assert.rejects(fetchWithRetryMock('https://api.example.com', { baseDelay: -5 }), TypeError);
+    console.log('✓ Invalid backoff options throw TypeError');
+}
+
+/**
+ * Test 10: Only retryable errors are retried
+ */
+async function testRetryClassification() {
+    console.log('Testing retry classification...');
+    
+    // Classifier rules
+    assert.strictEqual(isRetryableError(new TypeError('fetch failed', { cause: new Error('ECONNRESET') })), true);
+    assert.strictEqual(isRetryableError(new TimeoutError('Attempt 1 timed out after 10ms', 10)), true);
+    assert.strictEqual(isRetryableError(new TypeError('Failed to parse URL from notaurl')), false);
+    assert.strictEqual(isRetryableError(new TypeError('fetch failed')), false);
+    assert.strictEqual(isRetryableError(new SyntaxError('Unexpected token')), false);
+    for (const status of [408, 429, 500, 502, 503]) {
+        assert.strictEqual(isRetryableError(new Error('http'), { status }), true, `status ${status}`);
+    }
+    for (const status of [200, 400, 401, 404]) {
+        assert.strictEqual(isRetryableError(new Error('http'), { status }), false, `status ${status}`);
+    }
+    console.log('✓ Classifier retries network errors, 408, 429 and 5xx only');
+    
+    // A URL fetch can't parse fails before the first attempt
+    await assert.rejects(fetchWithRetry('notaurl', { maxRetries: 2 }), error =>
+        error instanceof TypeError && error.message === 'Invalid URL: notaurl');
+    let parseAttempts = 0;
+    await assert.rejects(fetchWithRetry('notaurl', {
+        maxRetries: 2,
+        fetch: async () => {
+            parseAttempts++;
+            throw new TypeError('Failed to parse URL from notaurl');
+        }
+    }), TypeError);
+    assert.strictEqual(parseAttempts, 1);
+    console.log('✓ Invalid URLs are not retried');
+    
+    const fast = { maxRetries: 3, baseDelay: 10 };
+    
+    // 404 fails immediately
+    const notFound = await startTestServer((req, res) => {
+        res.writeHead(404);
+        res.end();
+    });
+    try {
+        await assert.rejects(fetchWithRetry(notFound.url, fast), error => error.status === 404);
+        assert.strictEqual(notFound.requests, 1);
+        console.log('✓ 404 is not retried');
+    } finally {
+        await notFound.close();
+    }
+    
+    // A non-retryable error after retries is thrown as-is but keeps the attempt history
+    const afterRetries = createMockTransport([503, 'network', 404]);
+    const notFoundLater = await fetchWithRetry('https://api.example.com/later', { ...fast, fetch: afterRetries })
+        .catch(error => error);
+    assert.ok(notFoundLater instanceof HttpError && notFoundLater.status === 404);
+    assert.deepStrictEqual(notFoundLater.attempts.map(record => record.attempt), [1, 2, 3]);
+    assert.strictEqual(notFoundLater.attempts[0].error.status, 503);
+    assert.deepStrictEqual(notFoundLater.attempts.map(record => record.delay), [10, 10, null]);
+    console.log('✓ 404 after retries carries the earlier attempts');
+    
+    // JSON parse failure on a 200 response fails immediately
+    const badJson = await startTestServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"truncated":');
+    });
+    try {
+        await assert.rejects(fetchWithRetry(badJson.url, fast), SyntaxError);
+        assert.strictEqual(badJson.requests, 1);
+        console.log('✓ JSON parse failure is not retried');
+    } finally {
+        await badJson.close();
+    }
+    
+    // 503 is retried until the server recovers
+    const flaky = await startTestServer((req, res, n) => {
+        const recovered = n >= 3 && req.url !== '/down';
+        res.writeHead(recovered ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: recovered }));
+    });
+    try {
+        const data = await fetchWithRetry(flaky.url, fast);
+        assert.deepStrictEqual(data, { ok: true });
+        assert.strictEqual(flaky.requests, 3);
+        console.log('✓ 503 is retried until success');
+        
+        // A custom predicate can veto retries
+        const seen = [];
+        await assert.rejects(fetchWithRetry(flaky.url + 'down', {
+            ...fast,
+            shouldRetry: (error, response, attempt) => {
+                seen.push([response.status, attempt]);
+                return false;
+            }
+        }));
+        assert.deepStrictEqual(seen, [[503, 1]]);
+        console.log('✓ Custom shouldRetry(error, response, attempt) is honored');
+    } finally {
+        await flaky.close();
+    }
+}
+
+/**
+ * Test 11: Retry-After header overrides the backoff delay
+ */
+async function testRetryAfter() {
+    console.log('Testing Retry-After handling...');
+    
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('3', now), 3000);
+    assert.strictEqual(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(null, now), null);
+    console.log('✓ parseRetryAfter handles seconds and HTTP-dates');
+    
+    const server = await startTestServer((req, res, n) => {
+        if (n === 1) {
+            res.writeHead(429, { 'Retry-After': '1' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+    });
+    
+    try {
+        const start = Date.now();
+        await fetchWithRetry(server.url, { maxRetries: 1, baseDelay: 10 });
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed >= 950, `waited ${elapsed}ms, expected about 1000ms`);
+        console.log(`✓ Waited ${elapsed}ms as requested by Retry-After instead of 10ms backoff`);
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 12: Per-attempt timeout and overall deadline
+ */
+async function testTimeouts() {
+    console.log('Testing timeouts...');
+    
+    // First request hangs, second answers: the hung attempt times out and is retried
+    const server = await startTestServer((req, res, n) => {
+        if (n === 1 || req.url === '/hang') {
+            return; // never respond
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+    });
+    
+    try {
+        const data = await fetchWithRetry(server.url, { maxRetries: 2, baseDelay: 10, timeout: 200 });
+        assert.deepStrictEqual(data, { ok: true });
+        assert.strictEqual(server.requests, 2);
+        console.log('✓ Hung attempt timed out and was retried');
+        
+        // The overall deadline ends the call, it is not retried
+        const start = Date.now();
+        await assert.rejects(
+            fetchWithRetry(server.url + 'hang', { maxRetries: 5, baseDelay: 10, totalTimeout: 300 }),
+            error => error instanceof TimeoutError && error.timeout === 300
+        );
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed < 1000, `deadline took ${elapsed}ms`);
+        console.log(`✓ totalTimeout rejected with TimeoutError after ${elapsed}ms`);
+    } finally {
+        await server.close();
+    }
+    
+    // Timeouts also apply to the mock fetcher
+    await assert.rejects(
+        fetchWithRetryMock('https://api.example.com/data', { maxRetries: 1, baseDelay: 10, timeout: 50, successRate: 1 }),
+        /timed out after 50ms/
+    );
+    console.log('✓ Mock attempts time out too');
+}
+
+/**
+ * Test 13: AbortSignal cancels the request and the wait between attempts
+ */
+async function testAbortSignal() {
+    console.log('Testing AbortSignal cancellation...');
+    
+    // Aborting during the wait between attempts
+    const controller = new AbortController();
+    const start = Date.now();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(
+        fetchWithRetryMock('https://api.example.com/data', {
+            maxRetries: 3,
+            baseDelay: 5000,
+            signal: controller.signal,
+            successRate: 0
+        }),
+        AbortError
+    );
+    const elapsed = Date.now() - start;
+    assert.ok(elapsed < 1000, `abort took ${elapsed}ms`);
+    console.log(`✓ Abort interrupted the 5 second delay after ${elapsed}ms`);
+    
+    // Aborting the in-flight request
+    const server = await startTestServer(() => {});
+    try {
+        const inFlight = new AbortController();
+        setTimeout(() => inFlight.abort(), 100);
+        await assert.rejects(
+            fetchWithRetry(server.url, { maxRetries: 3, baseDelay: 10, signal: inFlight.signal }),
+            AbortError
+        );
+        assert.strictEqual(server.requests, 1);
+        console.log('✓ Abort cancelled the in-flight request without retrying');
+        
+        // An already-aborted signal never sends a request
+        await assert.rejects(fetchWithRetry(server.url, { signal: inFlight.signal }), AbortError);
+        assert.strictEqual(server.requests, 1);
+        console.log('✓ Pre-aborted signal rejects immediately');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 14: Structured errors keep status, body and attempt history
+ */
+async function testStructuredErrors() {
+    console.log('Testing HttpError and RetryExhaustedError...');
+    
+    const server = await startTestServer((req, res) => {
+        if (req.url === '/missing') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('no such thing');
+            return;
+        }
+        res.writeHead(500, { 'Content-Type': 'application/json', 'X-Request-Id': 'abc123' });
+        res.end(JSON.stringify({ error: 'database unavailable', padding: 'x'.repeat(2000) }));
+    });
+    
+    try {
+        // Non-retryable status surfaces as HttpError directly
+        await assert.rejects(fetchWithRetry(server.url + 'missing', { baseDelay: 10 }), error => {
+            assert.ok(error instanceof HttpError);
+            assert.strictEqual(error.status, 404);
+            assert.strictEqual(error.statusText, 'Not Found');
+            assert.strictEqual(error.body, 'no such thing');
+            assert.strictEqual(error.url, server.url + 'missing');
+            return true;
+        });
+        console.log('✓ 404 rejected with HttpError carrying status, statusText and body');
+        
+        // Exhausted retries keep every attempt
+        await assert.rejects(fetchWithRetry(server.url, { maxRetries: 2, baseDelay: 10 }), error => {
+            assert.ok(error instanceof RetryExhaustedError);
+            assert.strictEqual(error.url, server.url);
+            assert.strictEqual(error.attempts.length, 3);
+            assert.deepStrictEqual(error.attempts.map(a => a.attempt), [1, 2, 3]);
+            assert.deepStrictEqual(error.attempts.map(a => a.delay), [10, 10, null]);
+            assert.ok(error.attempts.every(a => a.error instanceof HttpError && a.duration >= 0));
+            assert.strictEqual(error.cause, error.attempts[2].error);
+            assert.strictEqual(error.cause.headers['x-request-id'], 'abc123');
+            assert.ok(error.cause.body.startsWith('{"error":"database unavailable"'));
+            assert.strictEqual(error.cause.body.length, 1024);
+            assert.match(error.message, /after 3 attempts\. Last error: HTTP error! status: 500/);
+            return true;
+        });
+        console.log('✓ RetryExhaustedError carries the attempt history and the last error as cause');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 15: Lifecycle hooks and injectable logger
+ */
+async function testLifecycleHooks() {
+    console.log('Testing lifecycle hooks and logger...');
+    
+    const server = await startTestServer((req, res, n) => {
+        const ok = n % 3 === 0;
+        res.writeHead(ok ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok }));
+    });
+    
+    try {
+        const events = [];
+        const logged = [];
+        const logger = {
+            info: message => logged.push(['info', message]),
+            warn: message => logged.push(['warn', message])
+        };
+        
+        await fetchWithRetry(server.url, {
+            maxRetries: 3,
+            baseDelay: 10,
+            logger,
+            onAttempt: e => events.push(`attempt ${e.attempt}`),
+            onRetry: e => events.push(`retry ${e.attempt} ${e.error.status} ${e.delay}ms`),
+            onSuccess: e => events.push(`success ${e.attempt} after ${e.attempts.length} failures`),
+            onGiveUp: e => events.push(`give up ${e.reason}`)
+        });
+        
+        assert.deepStrictEqual(events, [
+            'attempt 1', 'retry 1 503 10ms',
+            'attempt 2', 'retry 2 503 10ms',
+            'attempt 3', 'success 3 after 2 failures'
+        ]);
+        assert.deepStrictEqual(logged.map(([level]) => level), ['info', 'info']);
+        console.log('✓ Hooks fired in order:', events.join(' → '));
+        
+        // onGiveUp reports why the call ended, and a throwing hook does not change the outcome
+        let giveUp;
+        await assert.rejects(fetchWithRetry(server.url, {
+            maxRetries: 1,
+            baseDelay: 10,
+            onRetry: () => { throw new Error('telemetry bug'); },
+            onGiveUp: e => { giveUp = e; }
+        }), RetryExhaustedError);
+        assert.strictEqual(giveUp.reason, 'exhausted');
+        assert.strictEqual(giveUp.attempt, 2);
+        assert.ok(giveUp.elapsed >= 10);
+        console.log('✓ onGiveUp received reason "exhausted"; throwing hook was ignored');
+        
+        // Nothing is written to the console by default
+        const originalLog = console.log;
+        const originalInfo = console.info;
+        let consoleCalls = 0;
+        console.log = console.info = () => { consoleCalls++; };
+        try {
+            await fetchWithRetryMock('https://api.example.com/data', { maxRetries: 2, baseDelay: 10, successRate: 0 })
+                .catch(() => {});
+        } finally {
+            console.log = originalLog;
+            console.info = originalInfo;
+        }
+        assert.strictEqual(consoleCalls, 0);
+        console.log('✓ Default logger is silent');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 16: Circuit breaker opens, fails fast, probes and closes
+ */
+async function testCircuitBreaker() {
+    console.log('Testing per-host circuit breaker...');
+    
+    let healthy = false;
+    const server = await startTestServer((req, res) => {
+        // Healthy responses are slow so concurrent probes overlap
+        setTimeout(() => {
+            res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ healthy }));
+        }, healthy ? 100 : 0);
+    });
+    
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 200 });
+    const options = { maxRetries: 3, baseDelay: 10, circuitBreaker: breaker };
+    
+    try {
+        // Two failed attempts open the circuit; the third attempt fails fast
+        await assert.rejects(fetchWithRetry(server.url, options), CircuitOpenError);
+        assert.strictEqual(server.requests, 2);
+        assert.strictEqual(breaker.getState(server.url).state, 'open');
+        console.log('✓ Circuit opened after 2 failures');
+        
+        // While open, calls never reach the server
+        await assert.rejects(fetchWithRetry(server.url + 'other/path', options), error => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.strictEqual(error.key, new URL(server.url).origin);
+            return true;
+        });
+        assert.strictEqual(server.requests, 2);
+        console.log('✓ Open circuit fails fast without sending a request');
+        
+        // After the cool-down only one probe is let through
+        await delay(250);
+        healthy = true;
+        assert.strictEqual(breaker.getState(server.url).state, 'half-open');
+        const results = await Promise.allSettled([
+            fetchWithRetry(server.url, options),
+            fetchWithRetry(server.url, options)
+        ]);
+        assert.strictEqual(results[0].status, 'fulfilled');
+        assert.ok(results[1].reason instanceof CircuitOpenError);
+        assert.strictEqual(server.requests, 3);
+        console.log('✓ Half-open circuit allowed a single probe');
+        
+        // The successful probe closed the circuit
+        assert.deepStrictEqual(breaker.getStates().map(s => [s.key, s.state, s.failures]), [
+            [new URL(server.url).origin, 'closed', 0]
+        ]);
+        await fetchWithRetry(server.url, options);
+        console.log('✓ Successful probe closed the circuit');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 17: Identical concurrent requests share one retry sequence
+ */
+async function testRequestCoalescing() {
+    console.log('Testing in-flight request coalescing...');
+    
+    const server = await startTestServer((req, res, n) => {
+        setTimeout(() => {
+            if (req.url === '/missing') {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ request: n }));
+        }, 100);
+    });
+    
+    try {
+        const options = { baseDelay: 10, dedupe: true };
+        
+        // Three concurrent callers, one request
+        const results = await Promise.all([1, 2, 3].map(() => fetchWithRetry(server.url, options)));
+        assert.strictEqual(server.requests, 1);
+        assert.ok(results.every(result => result.request === 1));
+        console.log('✓ 3 concurrent calls shared 1 request');
+        
+        // Without dedupe each call runs on its own
+        await Promise.all([1, 2].map(() => fetchWithRetry(server.url, { baseDelay: 10 })));
+        assert.strictEqual(server.requests, 3);
+        console.log('✓ Calls are independent when dedupe is off');
+        
+        // One caller aborting does not cancel the others
+        const controller = new AbortController();
+        const aborted = fetchWithRetry(server.url, { ...options, signal: controller.signal });
+        const survivor = fetchWithRetry(server.url, options);
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(aborted, AbortError);
+        assert.deepStrictEqual(await survivor, { request: 4 });
+        assert.strictEqual(server.requests, 4);
+        console.log('✓ Aborting one caller left the shared request running');
+        
+        // Failures are shared too
+        const failures = await Promise.allSettled([1, 2].map(() => fetchWithRetry(server.url + 'missing', options)));
+        assert.ok(failures.every(f => f.status === 'rejected' && f.reason.status === 404));
+        assert.strictEqual(failures[0].reason, failures[1].reason);
+        assert.strictEqual(server.requests, 5);
+        console.log('✓ All callers rejected with the same error');
+        
+        // A caller arriving right after the last one aborted starts a fresh request
+        const only = new AbortController();
+        const cancelled = fetchWithRetry(server.url, { ...options, signal: only.signal });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        only.abort();
+        const fresh = fetchWithRetry(server.url, options);
+        await assert.rejects(cancelled, AbortError);
+        assert.deepStrictEqual(await fresh, { request: 7 });
+        assert.strictEqual(server.requests, 7);
+        console.log('✓ A new caller did not join the cancelled request');
+    } finally {
+        await server.close();
+    }
+    
+    // A caller that joins a hanging request still gives up at its own deadline
+    const transport = createMockTransport(['hang', 'hang']);
+    const first = new AbortController();
+    const hanging = fetchWithRetry('https://api.example.com/slow', { dedupe: true, fetch: transport, signal: first.signal });
+    const started = Date.now();
+    await assert.rejects(
+        fetchWithRetry('https://api.example.com/slow', { dedupe: true, fetch: transport, totalTimeout: 100 }),
+        TimeoutError
+    );
+    assert.ok(Date.now() - started < 400);
+    assert.strictEqual(transport.calls.length, 1);
+    
+    // A different per-attempt timeout runs its own sequence
+    await assert.rejects(
+        fetchWithRetry('https://api.example.com/slow', { dedupe: true, fetch: transport, timeout: 50, maxRetries: 0 }),
+        error => error.cause instanceof TimeoutError
+    );
+    assert.strictEqual(transport.calls.length, 2);
+    first.abort();
+    await assert.rejects(hanging, AbortError);
+    console.log('✓ Joiners were bound by their own totalTimeout and per-attempt timeout');
+}
+
+/**
+ * Test 18: Response cache with TTL, Cache-Control and ETag revalidation
+ */
+async function testResponseCache() {
+    console.log('Testing response cache...');
+    
+    // LRU store and Cache-Control parsing
+    const lru = new MemoryCacheStore(2);
+    lru.set('a', { data: 1 });
+    lru.set('b', { data: 2 });
+    lru.get('a');
+    lru.set('c', { data: 3 });
+    assert.strictEqual(lru.get('b'), undefined);
+    assert.deepStrictEqual(lru.get('a'), { data: 1 });
+    assert.deepStrictEqual(parseCacheControl('public, max-age=60, no-cache'), { noStore: false, noCache: true, maxAge: 60 });
+    console.log('✓ MemoryCacheStore evicts the least recently used entry');
+    
+    let version = 1;
+    const conditional = [];
+    const server = await startTestServer((req, res) => {
+        const etag = `"v${version}"`;
+        const headers = { 'Content-Type': 'application/json', ETag: etag };
+        
+        if (req.url === '/max-age') {
+            headers['Cache-Control'] = 'max-age=60';
+        } else if (req.url === '/no-store') {
+            headers['Cache-Control'] = 'no-store';
+        }
+        
+        if (req.headers['if-none-match']) {
+            conditional.push(req.headers['if-none-match']);
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, headers);
+                res.end();
+                return;
+            }
+        }
+        
+        res.writeHead(200, headers);
+        res.end(JSON.stringify({ version }));
+    });
+    
+    try {
+        const cache = { store: new MemoryCacheStore(), ttl: 200 };
+        const options = { baseDelay: 10, cache };
+        
+        // Fresh entries are served without a request
+        assert.deepStrictEqual(await fetchWithRetry(server.url, options), { version: 1 });
+        assert.deepStrictEqual(await fetchWithRetry(server.url, options), { version: 1 });
+        assert.strictEqual(server.requests, 1);
+        console.log('✓ Second read within ttl served from cache');
+        
+        // Expired entries are revalidated with If-None-Match; 304 keeps the cached body
+        await delay(250);
+        assert.deepStrictEqual(await fetchWithRetry(server.url, options), { version: 1 });
+        assert.strictEqual(server.requests, 2);
+        assert.deepStrictEqual(conditional, ['"v1"']);
+        assert.deepStrictEqual(await fetchWithRetry(server.url, options), { version: 1 });
+        assert.strictEqual(server.requests, 2);
+        console.log('✓ Expired entry revalidated with If-None-Match and refreshed on 304');
+        
+        // Cache-Control: max-age overrides ttl, no-store is never cached
+        const noTtl = { baseDelay: 10, cache: { store: new MemoryCacheStore() } };
+        await fetchWithRetry(server.url + 'max-age', noTtl);
+        await fetchWithRetry(server.url + 'max-age', noTtl);
+        assert.strictEqual(server.requests, 3);
+        await fetchWithRetry(server.url + 'no-store', options);
+        await fetchWithRetry(server.url + 'no-store', options);
+        assert.strictEqual(server.requests, 5);
+        console.log('✓ max-age honored and no-store responses not cached');
+        
+        // A 304 that no revalidation asked for is an error, not an empty success
+        const stray = createMockTransport([{ status: 304 }, { status: 304 }]);
+        const isNotModified = error => error instanceof HttpError && error.status === 304;
+        await assert.rejects(fetchWithRetry('https://api.example.com/etag', { fetch: stray }), isNotModified);
+        const empty = new MemoryCacheStore();
+        await assert.rejects(fetchWithRetry('https://api.example.com/etag', { fetch: stray, cache: { store: empty } }),
+            isNotModified);
+        assert.strictEqual(empty.entries.size, 0);
+        console.log('✓ Unexpected 304 rejected with an HttpError and nothing cached');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 19: Stale-while-revalidate and stale-if-error
+ */
+async function testStaleCacheModes() {
+    console.log('Testing stale-while-revalidate and stale-if-error...');
+    
+    let version = 1;
+    let down = false;
+    const server = await startTestServer((req, res) => {
+        if (down) {
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ version }));
+    });
+    
+    try {
+        // Stale data is returned at once while a background request refreshes it
+        const swr = { baseDelay: 10, cache: { store: new MemoryCacheStore(), ttl: 50, staleWhileRevalidate: 5000 } };
+        await fetchWithRetry(server.url, swr);
+        version = 2;
+        await delay(100);
+        assert.deepStrictEqual(await fetchWithRetry(server.url, swr), { version: 1 });
+        await delay(100);
+        assert.strictEqual(server.requests, 2);
+        assert.deepStrictEqual(await fetchWithRetry(server.url, swr), { version: 2 });
+        console.log('✓ Stale value served while the background revalidation fetched version 2');
+        
+        // When every retry fails, stale data within staleIfError is served instead
+        const sie = { maxRetries: 1, baseDelay: 10, cache: { store: new MemoryCacheStore(), ttl: 50, staleIfError: 5000 } };
+        await fetchWithRetry(server.url, sie);
+        down = true;
+        await delay(100);
+        const before = server.requests;
+        assert.deepStrictEqual(await fetchWithRetry(server.url, sie), { version: 2 });
+        assert.strictEqual(server.requests, before + 2);
+        console.log('✓ Stale value served after all retries failed');
+        
+        // Without staleIfError the failure surfaces
+        const strict = { maxRetries: 0, cache: { store: new MemoryCacheStore(), ttl: 0 } };
+        await assert.rejects(fetchWithRetry(server.url, strict), RetryExhaustedError);
+        console.log('✓ Errors surface when no stale window applies');
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Test 20: Scripted transport, fake clock and seeded randomness
+ */
+async function testDeterministicTransport() {
+    console.log('Testing deterministic mock transport and fake clock...');
+    
+    // Exact timing of an exponential backoff with Retry-After, without waiting
+    const clock = createFakeClock(1000);
+    const transport = createMockTransport({
+        script: [
+            { status: 500, latency: 50 },
+            'network',
+            { status: 429, headers: { 'Retry-After': '7' } },
+            { status: 200, body: { done: true } }
+        ],
+        clock
+    });
+    const retries = [];
+    const data = await runWithClock(clock, fetchWithRetry('https://api.example.com/jobs', {
+        backoff: 'exponential',
+        baseDelay: 100,
+        fetch: transport,
+        clock,
+        onRetry: e => retries.push([e.attempt, e.delay, e.elapsed])
+    }));
+    
+    assert.deepStrictEqual(data, { done: true });
+    assert.deepStrictEqual(transport.calls.map(call => call.time), [1000, 1150, 1350, 8350]);
+    assert.deepStrictEqual(retries, [[1, 100, 50], [2, 200, 150], [3, 7000, 350]]);
+    console.log('✓ Exact attempt times asserted: ' + transport.calls.map(call => call.time).join(', '));
+    
+    // Per-attempt timeouts run on the fake clock too
+    const timeoutClock = createFakeClock();
+    const hung = createMockTransport({ script: ['hang', { status: 200, body: { ok: true } }], clock: timeoutClock });
+    const recovered = await runWithClock(timeoutClock, fetchWithRetry('https://api.example.com/slow', {
+        timeout: 5000,
+        fetch: hung,
+        clock: timeoutClock
+    }));
+    assert.deepStrictEqual(recovered, { ok: true });
+    assert.strictEqual(timeoutClock.now(), 6000);
+    console.log('✓ Hung attempt timed out after 5000 fake ms');
+    
+    // Seeded randomness is reproducible
+    const first = createSeededRandom(42);
+    const second = createSeededRandom(42);
+    const sequence = Array.from({ length: 5 }, () => first());
+    assert.deepStrictEqual(sequence, Array.from({ length: 5 }, () => second()));
+    assert.ok(sequence.every(n => n >= 0 && n < 1));
+    
+    const runSeeded = async () => {
+        const seededClock = createFakeClock();
+        const seeded = createMockTransport({ seed: 1, successRate: 0.3, latency: [10, 200], clock: seededClock });
+        const outcome = await runWithClock(seededClock, fetchWithRetry('https://api.example.com/data', {
+            maxRetries: 10,
+            backoff: 'full-jitter',
+            baseDelay: 100,
+            fetch: seeded,
+            clock: seededClock,
+            random: createSeededRandom(1)
+        }));
+        return { outcome, times: seeded.calls.map(call => call.time) };
+    };
+    const runA = await runSeeded();
+    const runB = await runSeeded();
+    assert.deepStrictEqual(runA, runB);
+    assert.strictEqual(runA.times.length, 5);
+    console.log(`✓ Seeded transport reproduced ${runA.times.length} attempts at ${runA.times.join(', ')}ms`);
+    
+    // The random mock fetcher can be seeded as well
+    const mockRun = async () => {
+        const mockClock = createFakeClock();
+        return runWithClock(mockClock, fetchWithRetryMock('https://api.example.com/data', {
+            maxRetries: 10,
+            clock: mockClock,
+            random: createSeededRandom(3)
+        }).catch(error => error.message));
+    };
+    assert.deepStrictEqual(await mockRun(), await mockRun());
+    console.log('✓ fetchWithRetryMock is reproducible with a seeded random source');
+}
+
+/**
+ * Test 21: Concurrency-limited batch fetching
+ */
+async function testBatchFetching() {
+    console.log('Testing fetchAll and fetchMap...');
+    
+    const clock = createFakeClock();
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const started = [];
+    
+    // Later URLs answer faster, so completion order differs from input order
+    const transport = async (url, { signal }) => {
+        const id = Number(new URL(url).searchParams.get('id'));
+        started.push(id);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        try {
+            await delay(100 - id * 5, signal, clock);
+        } finally {
+            inFlight--;
+        }
+        return new Response(JSON.stringify({ id }), { status: url.includes('/fail') ? 404 : 200 });
+    };
+    
+    const urls = Array.from({ length: 10 }, (_, id) => `https://api.example.com/items?id=${id}`);
+    const progress = [];
+    const results = await runWithClock(clock, fetchAll(urls, {
+        concurrency: 3,
+        fetch: transport,
+        clock,
+        onProgress: p => progress.push(p.completed)
+    }));
+    
+    assert.strictEqual(maxInFlight, 3);
+    assert.deepStrictEqual(results.map(r => r.value.id), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepStrictEqual(progress, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    console.log('✓ 10 URLs fetched with at most 3 in flight, results in input order');
+    
+    // Collect mode keeps going past failures; descriptors can override options
+    const mixed = await runWithClock(clock, fetchAll([
+        urls[0],
+        { url: 'https://api.example.com/fail?id=1', maxRetries: 0 },
+        urls[2]
+    ], { fetch: transport, clock }));
+    assert.deepStrictEqual(mixed.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.strictEqual(mixed[1].reason.status, 404);
+    console.log('✓ Collect mode returns settled results including failures');
+    
+    // Fail fast stops scheduling and cancels in-flight requests
+    started.length = 0;
+    const failing = ['https://api.example.com/fail?id=19', ...urls];
+    await assert.rejects(
+        runWithClock(clock, fetchAll(failing, { concurrency: 2, failFast: true, fetch: transport, clock })),
+        error => error instanceof HttpError && error.status === 404
+    );
+    assert.deepStrictEqual(started, [19, 0]);
+    console.log('✓ failFast rejected with the first error after starting only 2 requests');
+    
+    // fetchMap is the generic building block
+    const doubled = await fetchMap([1, 2, 3], async n => n * 2, { concurrency: 2 });
+    assert.deepStrictEqual(doubled.map(r => r.value), [2, 4, 6]);
+    await assert.rejects(fetchMap([1], async n => n, { concurrency: 0 }), TypeError);
+    console.log('✓ fetchMap maps any async worker with a concurrency limit');
+}
+
+/**
+ * Collects every page from a paginate() iterator
+ */
+async function collectPages(iterator) {
+    const pages = [];
+    for await (const page of iterator) {
+        pages.push(page);
+    }
+    return pages;
+}
+
+/**
+ * Test 22: Pagination via Link headers, cursors and limits
+ */
+async function testPagination() {
+    console.log('Testing paginate()...');
+    
+    assert.deepStrictEqual(
+        parseLinkHeader('</items?page=2>; rel="next", <https://api.example.com/items?page=9>; rel="last"',
+            'https://api.example.com/items'),
+        { next: 'https://api.example.com/items?page=2', last: 'https://api.example.com/items?page=9' }
+    );
+    console.log('✓ parseLinkHeader resolves relative links');
+    
+    const linkPages = () => createMockTransport([
+        { body: [1, 2], headers: { Link: '</items?page=2>; rel="next"' } },
+        { body: [3, 4], headers: { Link: '<https://api.example.com/items?page=3>; rel="next"' } },
+        { body: [5] }
+    ]);
+    
+    // Follows rel="next" until there is none
+    const transport = linkPages();
+    const pages = await collectPages(paginate('https://api.example.com/items', { fetch: transport }));
+    assert.deepStrictEqual(pages.map(p => p.items), [[1, 2], [3, 4], [5]]);
+    assert.deepStrictEqual(transport.calls.map(c => c.url), [
+        'https://api.example.com/items',
+        'https://api.example.com/items?page=2',
+        'https://api.example.com/items?page=3'
+    ]);
+    console.log('✓ Followed Link headers across 3 pages');
+    
+    // Page and item limits
+    const limitedPages = await collectPages(paginate('https://api.example.com/items', { fetch: linkPages(), maxPages: 2 }));
+    assert.strictEqual(limitedPages.length, 2);
+    const limitedItems = await collectPages(paginate('https://api.example.com/items', { fetch: linkPages(), maxItems: 3 }));
+    assert.deepStrictEqual(limitedItems.map(p => p.items), [[1, 2], [3]]);
+    console.log('✓ maxPages and maxItems stop the walk');
+    
+    // Cursor-based API through getNextPage
+    const cursorTransport = createMockTransport([
+        { body: { results: ['a', 'b'], next_cursor: 'c2' } },
+        { body: { results: ['c'], next_cursor: null } }
+    ]);
+    const cursorPages = await collectPages(paginate('https://api.example.com/users', {
+        fetch: cursorTransport,
+        getItems: body => body.results,
+        getNextPage: (response, body) => (body.next_cursor ? `?cursor=${body.next_cursor}` : null)
+    }));
+    assert.deepStrictEqual(cursorPages.map(p => p.items), [['a', 'b'], ['c']]);
+    assert.strictEqual(cursorTransport.calls[1].url, 'https://api.example.com/users?cursor=c2');
+    console.log('✓ Cursor pagination through getNextPage');
+    
+    // A page that fails after its retries can be resumed from the last good cursor
+    const clock = createFakeClock();
+    const failing = createMockTransport({
+        script: [{ body: [1, 2], headers: { Link: '</items?page=2>; rel="next"' } }, 503, 503],
+        clock
+    });
+    const seen = [];
+    const walk = (async () => {
+        for await (const page of paginate('https://api.example.com/items', { fetch: failing, clock, maxRetries: 1 })) {
+            seen.push(...page.items);
+        }
+    })();
+    await assert.rejects(runWithClock(clock, walk), error => {
+        assert.ok(error instanceof PaginationError);
+        assert.strictEqual(error.resumeUrl, 'https://api.example.com/items?page=2');
+        assert.strictEqual(error.pagesFetched, 1);
+        assert.strictEqual(error.itemsFetched, 2);
+        assert.ok(error.cause instanceof RetryExhaustedError);
+        return true;
+    });
+    
+    const resumed = createMockTransport([{ body: [3, 4] }]);
+    for await (const page of paginate('https://api.example.com/items?page=2', { fetch: resumed })) {
+        seen.push(...page.items);
+    }
+    assert.deepStrictEqual(seen, [1, 2, 3, 4]);
+    console.log('✓ Failed page reported its resumeUrl and the walk resumed without duplicates');
+}
+
+/**
+ * Test 23: HTTP methods, headers, bodies and idempotency keys
+ */
+async function testHttpRequests() {
+    console.log('Testing methods, bodies and idempotency keys...');
+    
+    // Object bodies are sent as JSON; header names are case-insensitive
+    const jsonTransport = createMockTransport([{ status: 201, body: { id: 7 } }]);
+    const created = await fetchWithRetry('https://api.example.com/orders', {
+        fetch: jsonTransport,
+        method: 'post',
+        headers: { Authorization: 'Bearer t0k3n' },
+        body: { sku: 'A-1', quantity: 2 }
+    });
+    assert.deepStrictEqual(created, { id: 7 });
+    const [call] = jsonTransport.calls;
+    assert.strictEqual(call.method, 'POST');
+    assert.strictEqual(call.body, '{"sku":"A-1","quantity":2}');
+    assert.strictEqual(call.headers['content-type'], 'application/json');
+    assert.strictEqual(call.headers.authorization, 'Bearer t0k3n');
+    console.log('✓ JSON body and headers sent with POST');
+    
+    // Form bodies pass through untouched
+    const formTransport = createMockTransport([{ body: {} }]);
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    await fetchWithRetry('https://api.example.com/token', { fetch: formTransport, method: 'POST', body: form });
+    assert.strictEqual(formTransport.calls[0].body, form);
+    console.log('✓ URLSearchParams body passed through');
+    
+    // A POST without an idempotency key is never retried
+    const clock = createFakeClock();
+    const unsafe = createMockTransport({ script: [503, { body: {} }], clock });
+    await assert.rejects(
+        runWithClock(clock, fetchWithRetry('https://api.example.com/orders', {
+            fetch: unsafe, clock, method: 'POST', body: { sku: 'A-1' }
+        })),
+        RetryExhaustedError
+    );
+    assert.strictEqual(unsafe.calls.length, 1);
+    console.log('✓ POST without Idempotency-Key not retried');
+    
+    // With a generated key every attempt carries the same key
+    const keyed = createMockTransport({ script: [503, 503, { body: { ok: true } }], clock });
+    await runWithClock(clock, fetchWithRetry('https://api.example.com/orders', {
+        fetch: keyed, clock, method: 'POST', body: { sku: 'A-1' }, idempotencyKey: true
+    }));
+    const keys = keyed.calls.map(c => c.headers['idempotency-key']);
+    assert.strictEqual(keys.length, 3);
+    assert.ok(keys[0] && keys.every(key => key === keys[0]));
+    console.log(`✓ Retried POST with stable Idempotency-Key ${keys[0]}`);
+    
+    // Each call gets a fresh key; an explicit key is used as-is
+    const again = createMockTransport([{ body: {} }, { body: {} }]);
+    await fetchWithRetry('https://api.example.com/orders', { fetch: again, method: 'PATCH', idempotencyKey: true });
+    await fetchWithRetry('https://api.example.com/orders', { fetch: again, method: 'PATCH', idempotencyKey: 'order-42' });
+    assert.notStrictEqual(again.calls[0].headers['idempotency-key'], keys[0]);
+    assert.strictEqual(again.calls[1].headers['idempotency-key'], 'order-42');
+    console.log('✓ New key per call, explicit keys respected');
+    
+    // PUT and DELETE are idempotent and retried as usual
+    const put = createMockTransport({ script: [503, { status: 204 }], clock });
+    const putResult = await runWithClock(clock, fetchWithRetry('https://api.example.com/orders/7', {
+        fetch: put, clock, method: 'PUT', body: 'raw'
+    }));
+    assert.strictEqual(put.calls.length, 2);
+    assert.strictEqual(putResult, null);
+    console.log('✓ PUT retried; 204 resolves to null');
+    
+    // Response types
+    const text = await fetchWithRetry('https://api.example.com/robots.txt', {
+        fetch: createMockTransport([{ body: 'User-agent: *' }]), responseType: 'text'
+    });
+    assert.strictEqual(text, 'User-agent: *');
+    const raw = await fetchWithRetry('https://api.example.com/file', {
+        fetch: createMockTransport([{ body: 'abc', headers: { 'X-Id': '1' } }]), responseType: 'response'
+    });
+    assert.ok(raw instanceof Response);
+    assert.strictEqual(raw.headers.get('x-id'), '1');
+    assert.strictEqual(await raw.text(), 'abc');
+    const buffer = await fetchWithRetry('https://api.example.com/file', {
+        fetch: createMockTransport([{ body: 'abc' }]), responseType: 'arrayBuffer'
+    });
+    assert.strictEqual(buffer.byteLength, 3);
+    console.log('✓ text, arrayBuffer and raw Response types');
+    
+    assert.throws(() => normalizeRetryOptions({ method: 'GET', body: { a: 1 } }), TypeError);
+    assert.throws(() => normalizeRetryOptions({ responseType: 'xml' }), TypeError);
+    console.log('✓ Invalid request options rejected');
+}
+
+/**
+ * Test 24: Response validation with predicates and schemas
+ */
+async function testResponseValidation() {
+    console.log('Testing response validation...');
+    
+    const userSchema = {
+        type: 'object',
+        required: ['id', 'tags'],
+        properties: {
+            id: { type: 'integer' },
+            role: { enum: ['admin', 'member'] },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    };
+    
+    assert.strictEqual(validateSchema({ id: 1, role: 'admin', tags: ['a'] }, userSchema), null);
+    assert.deepStrictEqual(validateSchema({ id: 1 }, userSchema), { path: '$.tags', message: 'is required' });
+    assert.deepStrictEqual(validateSchema({ id: 1, tags: ['a', 2] }, userSchema),
+        { path: '$.tags[1]', message: 'expected string, got integer' });
+    assert.strictEqual(validateSchema({ id: 1, tags: [], role: 'root' }, userSchema).path, '$.role');
+    assert.strictEqual(validateSchema(3, { type: 'number' }), null);
+    console.log('✓ validateSchema reports the path of the first problem');
+    
+    // A wrong-shaped 200 is retried until a valid body arrives
+    const clock = createFakeClock();
+    const flaky = createMockTransport({
+        script: [{ body: { id: 1 } }, { body: '{"id": 1, "ta' }, { body: { id: 1, tags: ['x'] } }],
+        clock
+    });
+    const user = await runWithClock(clock, fetchWithRetry('https://api.example.com/users/1', {
+        fetch: flaky, clock, validate: userSchema
+    }));
+    assert.deepStrictEqual(user, { id: 1, tags: ['x'] });
+    assert.strictEqual(flaky.calls.length, 3);
+    console.log('✓ Malformed and truncated 200 responses retried');
+    
+    // Exhausted retries keep the last ValidationError as the cause
+    const alwaysBad = createMockTransport({ script: [{ body: {} }, { body: {} }], clock });
+    const exhausted = await runWithClock(clock, fetchWithRetry('https://api.example.com/users/1', {
+        fetch: alwaysBad, clock, maxRetries: 1, validate: userSchema
+    })).catch(error => error);
+    assert.ok(exhausted instanceof RetryExhaustedError);
+    assert.ok(exhausted.cause instanceof ValidationError);
+    assert.strictEqual(exhausted.cause.path, '$.id');
+    console.log(`✓ Exhausted: ${exhausted.cause.message}`);
+    
+    // With retries disabled for validation the error is thrown at once
+    const once = createMockTransport([{ body: { items: null } }]);
+    const error = await fetchWithRetry('https://api.example.com/items', {
+        fetch: once,
+        retryOnValidationError: false,
+        validate: data => data.items.length > 0
+    }).catch(err => err);
+    assert.ok(error instanceof ValidationError);
+    assert.ok(error.cause instanceof TypeError);
+    assert.strictEqual(error.url, 'https://api.example.com/items');
+    assert.strictEqual(once.calls.length, 1);
+    console.log('✓ retryOnValidationError: false fails immediately');
+    
+    // Predicates can reject with false or a ValidationError carrying a path
+    const rejected = await fetchWithRetry('https://api.example.com/items', {
+        fetch: createMockTransport([{ body: { items: [] } }]),
+        retryOnValidationError: false,
+        validate: data => {
+            if (!data.items.length) {
+                throw new ValidationError({ message: 'must not be empty', path: '$.items' });
+            }
+            return true;
+        }
+    }).catch(err => err);
+    assert.strictEqual(rejected.path, '$.items');
+    assert.strictEqual(rejected.message, 'Response validation failed at $.items: must not be empty');
+    console.log('✓ Predicate-supplied paths preserved');
+    
+    // A cached body is checked against the reading call's validator, not the storing call's
+    const cache = { store: new MemoryCacheStore(), ttl: 60000 };
+    const cached = createMockTransport([{ body: { wrong: true } }, { body: { wrong: true } }]);
+    assert.deepStrictEqual(await fetchWithRetry('https://api.example.com/users/2', { fetch: cached, cache }),
+        { wrong: true });
+    await assert.rejects(fetchWithRetry('https://api.example.com/users/2', {
+        fetch: cached, cache, retryOnValidationError: false, validate: { required: ['id'] }
+    }), ValidationError);
+    assert.strictEqual(cached.calls.length, 2);
+    console.log('✓ Cached body that fails the validator refetched');
+    
+    // So is a body shared with a dedupe joiner
+    const shared = createMockTransport([{ body: { wrong: true }, latency: 50 }, { body: { wrong: true } }]);
+    const [unchecked, joiner] = await Promise.allSettled([
+        fetchWithRetry('https://api.example.com/users/3', { fetch: shared, dedupe: true }),
+        fetchWithRetry('https://api.example.com/users/3', {
+            fetch: shared, dedupe: true, retryOnValidationError: false, validate: { required: ['id'] }
+        })
+    ]);
+    assert.deepStrictEqual(unchecked.value, { wrong: true });
+    assert.ok(joiner.reason instanceof ValidationError);
+    assert.strictEqual(shared.calls.length, 2);
+    console.log('✓ Dedupe joiner with its own validator did not get an unchecked body');
+    
+    assert.throws(() => normalizeRetryOptions({ validate: 'yes' }), TypeError);
+    console.log('✓ Invalid validate option rejected');
+}
+
+/**
+ * Builds a transport serving scripted streaming bodies
+ * 
+ * Each connection is { status, contentType, chunks, end } where end is
+ * 'close' (default), 'drop' (the connection fails) or 'hang'.
+ */
+function createStreamTransport(connections) {
+    const encoder = new TextEncoder();
+    const calls = [];
+    
+    const transport = async (url, init = {}) => {
+        calls.push({ url, headers: Object.fromEntries(new Headers(init.headers)) });
+        const { status = 200, contentType = 'application/x-ndjson', chunks = [], end = 'close' } = connections.shift();
+        const pending = [...chunks];
+        
+        const body = new ReadableStream({
+            pull(controller) {
+                if (pending.length > 0) {
+                    controller.enqueue(encoder.encode(pending.shift()));
+                } else if (end === 'drop') {
+                    controller.error(new TypeError('terminated'));
+                } else if (end === 'close') {
+                    controller.close();
+                } else {
+                    return new Promise(() => {});
+                }
+            }
+        });
+        
+        const payload = status === 200 ? body : status === 204 ? null : '';
+        return new Response(payload, { status, headers: { 'content-type': contentType } });
+    };
+    
+    transport.calls = calls;
+    return transport;
+}
+
+/**
+ * Test 25: Streaming NDJSON and Server-Sent Events with resume
+ */
+async function testStreaming() {
+    console.log('Testing fetchStream()...');
+    const clock = createFakeClock();
+    const collect = (url, options) => runWithClock(clock, collectPages(fetchStream(url, { clock, ...options })));
+    
+    // SSE: events split across chunks, comments, multi-line data; the
+    // half-received event 3 is requested again after the drop
+    const sse = createStreamTransport([
+        {
+            contentType: 'text/event-stream',
+            chunks: ['id: 1\nda', 'ta: a\n\n: keep-alive\n', 'id: 2\nevent: update\ndata: b\ndata: c\r\n\r\n', 'id: 3\ndata: partial'],
+            end: 'drop'
+        },
+        { contentType: 'text/event-stream', chunks: ['id: 3\ndata: d\n\n'] },
+        { status: 204 }
+    ]);
+    const events = await collect('https://api.example.com/events', { fetch: sse });
+    assert.deepStrictEqual(events, [
+        { event: 'message', data: 'a', id: '1' },
+        { event: 'update', data: 'b\nc', id: '2' },
+        { event: 'message', data: 'd', id: '3' }
+    ]);
+    assert.strictEqual(sse.calls[0].headers['last-event-id'], undefined);
+    assert.strictEqual(sse.calls[1].headers['last-event-id'], '2');
+    console.log('✓ SSE resumed with Last-Event-ID without losing or repeating events');
+    
+    // SSE: a cleanly closed stream is reconnected after the retry: delay until the server answers 204
+    const closing = createStreamTransport([
+        { contentType: 'text/event-stream', chunks: ['retry: 1000\nid: 1\ndata: a\n\n'] },
+        { contentType: 'text/event-stream', chunks: ['id: 2\ndata: b\n\n'] },
+        { status: 204 }
+    ]);
+    const reconnects = [];
+    const closedStart = clock.now();
+    const resumed = await collect('https://api.example.com/events', {
+        fetch: closing,
+        onRetry: ({ delay: wait }) => reconnects.push(wait)
+    });
+    assert.deepStrictEqual(resumed.map(event => event.data), ['a', 'b']);
+    assert.deepStrictEqual(closing.calls.map(call => call.headers['last-event-id']), [undefined, '1', '2']);
+    assert.deepStrictEqual(reconnects, [1000, 1000]);
+    assert.strictEqual(clock.now() - closedStart, 2000);
+    console.log('✓ SSE reconnected after a clean close and stopped on 204');
+    
+    // NDJSON: resumes from the caller's offset
+    const ndjson = createStreamTransport([
+        { chunks: ['{"seq":1}\n{"seq":2}\n{"se'], end: 'drop' },
+        { chunks: ['{"seq":3}\n', '{"seq":4}'] }
+    ]);
+    const records = await collect('https://api.example.com/feed?format=ndjson', {
+        fetch: ndjson,
+        getOffset: record => record.seq + 1
+    });
+    assert.deepStrictEqual(records.map(r => r.seq), [1, 2, 3, 4]);
+    assert.strictEqual(ndjson.calls[1].url, 'https://api.example.com/feed?format=ndjson&offset=3');
+    console.log('✓ NDJSON resumed from offset=3');
+    
+    // Connecting uses the normal retry loop; repeated drops without progress give up
+    const failing = createStreamTransport([
+        { status: 503 },
+        { chunks: ['{"seq":1}\n'], end: 'drop' },
+        { end: 'drop' },
+        { end: 'drop' }
+    ]);
+    const delays = [];
+    const exhausted = await collect('https://api.example.com/feed', {
+        fetch: failing,
+        maxRetries: 2,
+        backoff: 'exponential',
+        baseDelay: 100,
+        onRetry: ({ delay: wait }) => delays.push(wait)
+    }).catch(error => error);
+    assert.ok(exhausted instanceof RetryExhaustedError);
+    assert.strictEqual(exhausted.attempts.length, 3);
+    assert.deepStrictEqual(delays, [100, 100, 200]);
+    assert.strictEqual(failing.calls.length, 4);
+    console.log(`✓ Gave up after repeated drops: ${exhausted.message}`);
+    
+    // Server-provided retry: overrides the backoff
+    const retryField = createStreamTransport([
+        { contentType: 'text/event-stream', chunks: ['retry: 2500\nid: 9\ndata: x\n\n'], end: 'drop' },
+        { status: 204 }
+    ]);
+    const retryDelays = [];
+    await collect('https://api.example.com/events', {
+        fetch: retryField,
+        onRetry: ({ delay: wait }) => retryDelays.push(wait)
+    });
+    assert.deepStrictEqual(retryDelays, [2500]);
+    console.log('✓ SSE retry: field sets the reconnect delay');
+    
+    // Aborting stops a hanging stream
+    const controller = new AbortController();
+    const hanging = createStreamTransport([{ chunks: ['{"n":1}\n'], end: 'hang' }]);
+    const seen = [];
+    const aborted = await (async () => {
+        for await (const record of fetchStream('https://api.example.com/feed', { fetch: hanging, signal: controller.signal })) {
+            seen.push(record);
+            setTimeout(() => controller.abort(), 10);
+        }
+    })().catch(error => error);
+    assert.ok(aborted instanceof AbortError);
+    assert.deepStrictEqual(seen, [{ n: 1 }]);
+    console.log('✓ Abort ends the stream with AbortError');
+}
+
+/**
+ * Test 26: Hedged requests
+ */
+async function testHedging() {
+    console.log('Testing hedged requests...');
+    const clock = createFakeClock();
+    const url = 'https://hedge.example.com/data';
+    
+    // A slow first request is overtaken by a hedge started after 100ms
+    const transport = createMockTransport({
+        script: ['hang', { latency: 50, body: { from: 'hedge' } }],
+        clock
+    });
+    const signals = [];
+    const hedges = [];
+    const raceTracker = new LatencyTracker();
+    const result = await runWithClock(clock, fetchWithRetry(url, {
+        clock,
+        fetch: (target, init) => {
+            signals.push(init.signal);
+            return transport(target, init);
+        },
+        hedge: { delay: 100, tracker: raceTracker },
+        onHedge: event => hedges.push(event)
+    }));
+    assert.deepStrictEqual(result, { from: 'hedge' });
+    assert.deepStrictEqual(transport.calls.map(c => c.time), [0, 100]);
+    assert.deepStrictEqual(hedges, [{ url, attempt: 1, hedge: 1, delay: 100 }]);
+    assert.ok(signals[0].aborted && signals[0].reason instanceof AbortError);
+    // The attempt waited 150ms for its answer, not the winner's own 50ms
+    assert.strictEqual(raceTracker.percentile('https://hedge.example.com', 50), 150);
+    console.log('✓ Hedge won the race and the slow request was aborted');
+    
+    // Never more than maxHedges duplicates
+    const capped = createMockTransport({ script: ['hang', 'hang', { latency: 500, body: {} }], clock });
+    await runWithClock(clock, fetchWithRetry(url, {
+        clock, fetch: capped, hedge: { delay: 100, maxHedges: 2, tracker: new LatencyTracker() }
+    }));
+    assert.strictEqual(capped.calls.length, 3);
+    
+    // ...per call, not per attempt; timed-out attempts still teach the tracker
+    const timeoutTracker = new LatencyTracker();
+    const retried = createMockTransport({ script: ['hang', 'hang', 'hang', 'hang', 'hang'], clock });
+    await assert.rejects(runWithClock(clock, fetchWithRetry(url, {
+        clock, fetch: retried, maxRetries: 3, baseDelay: 10, timeout: 300,
+        hedge: { delay: 100, maxHedges: 1, tracker: timeoutTracker }
+    })), RetryExhaustedError);
+    assert.strictEqual(retried.calls.length, 5);
+    assert.strictEqual(timeoutTracker.count('https://hedge.example.com'), 4);
+    assert.strictEqual(timeoutTracker.percentile('https://hedge.example.com', 50), 300);
+    console.log('✓ maxHedges caps the duplicates across the whole call');
+    
+    // URLs without an origin are hedged too, keyed by the URL itself
+    const relativeTracker = new LatencyTracker();
+    const relative = createMockTransport({ script: ['hang', { latency: 20, body: { ok: true } }], clock });
+    assert.deepStrictEqual(await runWithClock(clock, fetchWithRetry('/relative/data', {
+        clock, fetch: relative, hedge: { delay: 100, tracker: relativeTracker }
+    })), { ok: true });
+    assert.strictEqual(relative.calls.length, 2);
+    assert.strictEqual(relativeTracker.count('/relative/data'), 1);
+    console.log('✓ Relative URL hedged without a TypeError');
+    
+    // A fast failure is retried as usual instead of waiting for a hedge
+    const failing = createMockTransport({ script: [503, { body: { ok: true } }], clock });
+    await runWithClock(clock, fetchWithRetry(url, {
+        clock, fetch: failing, maxRetries: 1, hedge: { delay: 100, tracker: new LatencyTracker() }
+    }));
+    assert.strictEqual(failing.calls.length, 2);
+    console.log('✓ Failed attempt retried normally');
+    
+    // Non-idempotent methods are never hedged
+    const post = createMockTransport({ script: [{ latency: 1000, body: {} }], clock });
+    await runWithClock(clock, fetchWithRetry(url, {
+        clock, fetch: post, method: 'POST', hedge: { delay: 100, tracker: new LatencyTracker() }
+    }));
+    assert.strictEqual(post.calls.length, 1);
+    console.log('✓ POST not hedged');
+    
+    // Learned delay: the p90 of recent latencies once minSamples exist
+    const tracker = new LatencyTracker();
+    const learning = createMockTransport({
+        script: [10, 20, 30, 40, 50].map(latency => ({ latency, body: {} }))
+            .concat([{ latency: 1000, body: { slow: true } }, { latency: 10, body: { slow: false } }]),
+        clock
+    });
+    const hedge = { percentile: 90, minSamples: 5, tracker };
+    for (let i = 0; i < 5; i++) {
+        await runWithClock(clock, fetchWithRetry(url, { clock, fetch: learning, hedge }));
+    }
+    assert.strictEqual(tracker.percentile('https://hedge.example.com', 90), 50);
+    const start = clock.now();
+    const learned = await runWithClock(clock, fetchWithRetry(url, { clock, fetch: learning, hedge }));
+    assert.deepStrictEqual(learned, { slow: false });
+    assert.strictEqual(learning.calls[6].time - start, 50);
+    console.log('✓ Hedged after the learned p90 latency (50ms)');
+    
+    assert.throws(() => normalizeRetryOptions({ hedge: {} }), TypeError);
+    assert.throws(() => normalizeRetryOptions({ hedge: { delay: 10, maxHedges: 0 } }), TypeError);
+    console.log('✓ Invalid hedge options rejected');
+}
+
+/**
+ * Test 27: Shared retry budget
+ */
+async function testRetryBudget() {
+    console.log('Testing the retry budget...');
+    const clock = createFakeClock();
+    
+    // 2 retries per window from the minimum rate, plus 0.5 per success
+    const budget = new RetryBudget({ ratio: 0.5, minRetriesPerSecond: 1, window: 2000, scope: 'host', clock });
+    const down = createMockTransport({ script: Array(10).fill(503), clock });
+    const reasons = [];
+    const call = () => runWithClock(clock, fetchWithRetry('https://down.example.com/data', {
+        fetch: down, clock, baseDelay: 10, maxRetries: 3, retryBudget: budget,
+        onGiveUp: ({ reason }) => reasons.push(reason)
+    })).catch(error => error);
+    
+    const first = await call();
+    assert.ok(first instanceof HttpError && first.status === 503);
+    assert.strictEqual(down.calls.length, 3);
+    assert.deepStrictEqual(budget.getStats('https://down.example.com'),
+        { key: 'https://down.example.com', available: 0, successes: 0, retries: 2, rejected: 1 });
+    
+    const second = await call();
+    assert.ok(second instanceof HttpError);
+    assert.strictEqual(down.calls.length, 4);
+    assert.deepStrictEqual(reasons, ['retry-budget', 'retry-budget']);
+    console.log('✓ Empty budget fails with the original error instead of retrying');
+    
+    // Other hosts have their own bucket; successes and time refill it
+    assert.strictEqual(budget.getStats('https://up.example.com/x').available, 2);
+    const up = createMockTransport({ script: [{ body: {} }, { body: {} }], clock });
+    for (let i = 0; i < 2; i++) {
+        await fetchWithRetry('https://down.example.com/data', { fetch: up, clock, retryBudget: budget });
+    }
+    assert.strictEqual(budget.getStats('https://down.example.com').available, 1);
+    await clock.advance(2000);
+    assert.strictEqual(budget.getStats('https://down.example.com').available, 2);
+    console.log('✓ Successes and the passing time refill the budget');
+    
+    // The bucket never holds more than its capacity, however many calls succeed
+    for (let i = 0; i < 100; i++) {
+        budget.recordSuccess('https://down.example.com');
+    }
+    assert.deepStrictEqual(budget.getStats('https://down.example.com'),
+        { key: 'https://down.example.com', available: 2, successes: 102, retries: 2, rejected: 2 });
+    const large = new RetryBudget({ ratio: 0.5, minRetriesPerSecond: 0, capacity: 5, clock });
+    for (let i = 0; i < 100; i++) {
+        large.recordSuccess('global');
+    }
+    assert.strictEqual(large.getStats().available, 5);
+    console.log('✓ Capacity caps the bucket');
+    
+    // A global budget is shared across hosts
+    const shared = new RetryBudget({ minRetriesPerSecond: 1, window: 1000, clock });
+    const flaky = createMockTransport({ script: [503, { body: {} }, 503, 503], clock });
+    await runWithClock(clock, fetchWithRetry('https://a.example.com', { fetch: flaky, clock, baseDelay: 10, retryBudget: shared }));
+    await assert.rejects(
+        runWithClock(clock, fetchWithRetry('https://b.example.com', { fetch: flaky, clock, baseDelay: 10, retryBudget: shared })),
+        HttpError
+    );
+    assert.deepStrictEqual(shared.getAllStats().map(stats => stats.key), ['global']);
+    console.log(`✓ Global scope: ${JSON.stringify(shared.getStats())}`);
+    
+    assert.throws(() => new RetryBudget({ scope: 'user' }), TypeError);
+    assert.throws(() => new RetryBudget({ capacity: 0 }), TypeError);
+    assert.throws(() => normalizeRetryOptions({ retryBudget: {} }), TypeError);
+    console.log('✓ Invalid budgets rejected');
+}
+
+/**
+ * Test 28: Metrics and Prometheus export
+ */
+async function testMetrics() {
+    console.log('Testing metrics...');
+    const clock = createFakeClock();
+    const metrics = new MetricsCollector({ buckets: [100, 1000] });
+    const transport = createMockTransport({
+        script: [{ status: 503, latency: 50 }, 'network', { latency: 200, body: {} }, 404],
+        clock
+    });
+    const options = { fetch: transport, clock, metrics, baseDelay: 10 };
+    
+    await runWithClock(clock, fetchWithRetry('https://api.example.com/a', options));
+    await runWithClock(clock, fetchWithRetry('https://api.example.com/b', options)).catch(() => {});
+    
+    const host = metrics.getMetrics().hosts['https://api.example.com'];
+    assert.strictEqual(host.requests, 2);
+    assert.strictEqual(host.successes, 1);
+    assert.strictEqual(host.attempts, 4);
+    assert.strictEqual(host.retries, 2);
+    assert.deepStrictEqual(host.giveUps, { 'not-retryable': 1 });
+    assert.deepStrictEqual(host.statusClasses, { '5xx': 1, error: 1, '2xx': 1, '4xx': 1 });
+    assert.deepStrictEqual(host.attemptDuration.buckets, { 100: 3, 1000: 4, '+Inf': 4 });
+    assert.strictEqual(host.attemptDuration.sum, 250);
+    assert.deepStrictEqual(host.requestDuration.buckets, { 100: 1, 1000: 2, '+Inf': 2 });
+    console.log('✓ Counters and histograms per host');
+    
+    const text = metrics.toPrometheus();
+    assert.ok(text.includes('# TYPE fetcher_requests_total counter'));
+    assert.ok(text.includes('fetcher_requests_total{host="https://api.example.com"} 2'));
+    assert.ok(text.includes('fetcher_give_ups_total{host="https://api.example.com",reason="not-retryable"} 1'));
+    assert.ok(text.includes('fetcher_responses_total{host="https://api.example.com",status_class="5xx"} 1'));
+    assert.ok(text.includes('fetcher_attempt_duration_seconds_bucket{host="https://api.example.com",le="0.1"} 3'));
+    assert.ok(text.includes('fetcher_attempt_duration_seconds_bucket{host="https://api.example.com",le="+Inf"} 4'));
+    assert.ok(text.includes('fetcher_attempt_duration_seconds_sum{host="https://api.example.com"} 0.25'));
+    assert.ok(text.endsWith('\n'));
+    console.log('✓ Prometheus text format');
+    
+    // Calls record into the shared collector unless told otherwise
+    const before = (getMetrics().hosts['https://shared.example.com'] || { requests: 0 }).requests;
+    await fetchWithRetry('https://shared.example.com', { fetch: createMockTransport([{ body: {} }]) });
+    await fetchWithRetry('https://shared.example.com', { fetch: createMockTransport([{ body: {} }]), metrics: false });
+    assert.strictEqual(getMetrics().hosts['https://shared.example.com'].requests, before + 1);
+    assert.ok(getPrometheusMetrics().includes('host="https://shared.example.com"'));
+    console.log('✓ Default collector behind getMetrics(); metrics: false opts out');
+    
+    assert.throws(() => new MetricsCollector({ buckets: [10, 5] }), TypeError);
+    assert.throws(() => normalizeRetryOptions({ metrics: {} }), TypeError);
+    console.log('✓ Invalid metrics options rejected');
+}
+
+/**
+ * Test 29: Outbound throttling through a RateLimiter
+ */
+async function testOutboundThrottling() {
+    console.log('Testing outbound throttling...');
+    const limiter = new RateLimiter(2, 300);
+    
+    try {
+        // Retries take slots too: the third attempt waits for the window to move
+        const transport = createMockTransport([503, { body: {} }, { body: {} }]);
+        const options = { fetch: transport, rateLimiter: limiter, baseDelay: 0 };
+        await fetchWithRetry('https://quota.example.com/a', options);
+        await fetchWithRetry('https://quota.example.com/b', options);
+        const times = transport.calls.map(call => call.time);
+        assert.ok(times[1] - times[0] < 100, 'retry sent within the limit');
+        assert.ok(times[2] - times[0] >= 290, `third attempt waited (${times[2] - times[0]}ms)`);
+        console.log(`✓ Third attempt waited ${times[2] - times[0]}ms for a slot`);
+        
+        // The key function decides what shares a budget
+        limiter.reset();
+        const shared = createMockTransport([{ body: {} }, { body: {} }, { body: {} }]);
+        const byApiKey = { fetch: shared, rateLimiter: limiter, rateLimitKey: () => 'api-key-1' };
+        await fetchWithRetry('https://one.example.com', byApiKey);
+        await fetchWithRetry('https://two.example.com', byApiKey);
+        assert.strictEqual(limiter.getStatus('api-key-1').remaining, 0);
+        assert.strictEqual(limiter.getStatus('https://one.example.com').remaining, 2);
+        console.log('✓ Custom key shares one budget across hosts');
+        
+        // Server headers saying less is left than expected lower the local budget
+        limiter.reset();
+        const adaptive = createMockTransport([
+            { body: {}, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '0.25' } },
+            { body: {} }
+        ]);
+        await fetchWithRetry('https://adaptive.example.com', { fetch: adaptive, rateLimiter: limiter });
+        await fetchWithRetry('https://adaptive.example.com', { fetch: adaptive, rateLimiter: limiter });
+        const waited = adaptive.calls[1].time - adaptive.calls[0].time;
+        assert.ok(waited >= 240, `waited for the server reset (${waited}ms)`);
+        console.log(`✓ Adapted to X-RateLimit-Remaining: 0, waited ${waited}ms`);
+        
+        // Cancelling while waiting for a slot
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(
+            fetchWithRetry('https://adaptive.example.com', {
+                fetch: createMockTransport([{ body: {} }]), rateLimiter: limiter, signal: controller.signal
+            }),
+            AbortError
+        );
+        console.log('✓ Abort while waiting for a slot');
+        
+        // Waits are measured on the fetcher's clock, so a fake clock sleeps once instead of spinning
+        const clock = createFakeClock();
+        const fakeLimiter = new RateLimiter(1, 1000, { now: () => clock.now() });
+        const isAllowed = fakeLimiter.isAllowed.bind(fakeLimiter);
+        let checks = 0;
+        fakeLimiter.isAllowed = key => { checks++; return isAllowed(key); };
+        try {
+            const fake = createMockTransport({ script: [{ body: {} }, { body: {} }], clock });
+            const fakeOptions = { fetch: fake, rateLimiter: fakeLimiter, clock };
+            await runWithClock(clock, fetchWithRetry('https://fake.example.com', fakeOptions));
+            await runWithClock(clock, fetchWithRetry('https://fake.example.com', fakeOptions));
+            assert.deepStrictEqual(fake.calls.map(call => call.time), [0, 1000]);
+            assert.strictEqual(checks, 3);
+            console.log('✓ Slot wait follows the injected clock');
+            
+            // Hedged duplicates wait for slots of their own
+            fakeLimiter.reset();
+            const hedgeStart = clock.now();
+            const hedged = createMockTransport({ script: ['hang', 'hang', { latency: 50, body: {} }], clock });
+            await runWithClock(clock, fetchWithRetry('https://fake.example.com', {
+                ...fakeOptions, fetch: hedged, hedge: { delay: 100, maxHedges: 2, tracker: new LatencyTracker() }
+            }));
+            assert.deepStrictEqual(hedged.calls.map(call => call.time - hedgeStart), [0, 1000, 2000]);
+            console.log('✓ Each hedge waited for the window to move');
+            
+            // Calls rejected by an open circuit use up no quota
+            fakeLimiter.reset();
+            const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 60000, clock });
+            const breakerOptions = { ...fakeOptions, maxRetries: 0, circuitBreaker: breaker };
+            await assert.rejects(runWithClock(clock, fetchWithRetry('https://fake.example.com', {
+                ...breakerOptions, fetch: createMockTransport({ script: [503], clock })
+            })), RetryExhaustedError);
+            await assert.rejects(fetchWithRetry('https://fake.example.com', breakerOptions), CircuitOpenError);
+            assert.strictEqual(fakeLimiter.getStatus('https://fake.example.com').used, 1);
+            console.log('✓ Open circuit rejected the call before it took a slot');
+        } finally {
+            fakeLimiter.destroy();
+        }
+        
+        assert.throws(() => normalizeRetryOptions({ rateLimiter: {} }), TypeError);
+        console.log('✓ Invalid rateLimiter rejected');
+    } finally {
+        limiter.destroy();
+    }
+}
+
+/**
+ * Test 30: Record/replay fixtures
+ */
+async function testFixtures() {
+    console.log('Testing record and replay...');
+    const fixturePath = path.join(os.tmpdir(), `fetcher-fixture-${process.pid}.json`);
+    const server = await startTestServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.writeHead(req.method === 'POST' ? 201 : 200, {
+                'Content-Type': 'application/json', 'X-Served': 'live', 'Set-Cookie': 'session=s3cr3t; HttpOnly'
+            });
+            res.end(JSON.stringify({ method: req.method, path: req.url, received: body || null }));
+        });
+    });
+    
+    try {
+        // Record against a live server
+        const recorder = createRecordingTransport(fixturePath);
+        await fetchWithRetry(`${server.url}users?page=1&size=2`, { fetch: recorder, headers: { Authorization: 'Bearer secret' } });
+        await fetchWithRetry(`${server.url}users`, { fetch: recorder, method: 'POST', body: { name: 'Ada', role: 'admin' } });
+        recorder.save();
+        
+        const saved = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        assert.strictEqual(saved.entries.length, 2);
+        assert.strictEqual(saved.entries[0].request.headers.authorization, '[REDACTED]');
+        assert.strictEqual(saved.entries[1].response.status, 201);
+        assert.strictEqual(saved.entries[1].response.headers['x-served'], 'live');
+        assert.ok(typeof saved.entries[0].latency === 'number');
+        console.log('✓ Recorded status, headers, body and timing');
+        
+        assert.strictEqual(saved.entries[0].response.headers['set-cookie'], '[REDACTED]');
+        assert.ok(!fs.readFileSync(fixturePath, 'utf8').includes('s3cr3t'));
+        console.log('✓ Set-Cookie response headers redacted in the fixture');
+    } finally {
+        await server.close();
+    }
+    
+    try {
+        // Replay offline; the server is gone
+        const strict = createReplayTransport(fixturePath);
+        const page = await fetchWithRetry(`${server.url}users?page=1&size=2`, { fetch: strict });
+        assert.deepStrictEqual(page, { method: 'GET', path: '/users?page=1&size=2', received: null });
+        const created = await fetchWithRetry(`${server.url}users`, {
+            fetch: strict, method: 'POST', body: { name: 'Ada', role: 'admin' }
+        });
+        assert.strictEqual(created.method, 'POST');
+        assert.deepStrictEqual(strict.unused, []);
+        console.log('✓ Strict replay served both fixtures');
+        
+        // Strict matching: each fixture once, exact URL and body
+        const miss = await fetchWithRetry(`${server.url}users?page=1&size=2`, { fetch: strict }).catch(error => error);
+        assert.ok(miss instanceof FixtureMissError, 'fixture misses are not retried');
+        assert.strictEqual(strict.calls.length, 3);
+        const reordered = createReplayTransport(fixturePath);
+        await assert.rejects(fetchWithRetry(`${server.url}users?size=2&page=1`, { fetch: reordered }), FixtureMissError);
+        console.log('✓ Strict mode rejects reuse and reordered queries');
+        
+        // Lenient matching: query order, JSON key order, reuse
+        const lenient = createReplayTransport(fixturePath, { match: 'lenient' });
+        await fetchWithRetry(`${server.url}users?size=2&page=1`, { fetch: lenient });
+        await fetchWithRetry(`${server.url}users?page=1&size=2`, { fetch: lenient });
+        await fetchWithRetry(`${server.url}users`, { fetch: lenient, method: 'POST', body: '{ "role": "admin", "name": "Ada" }' });
+        await assert.rejects(
+            fetchWithRetry(`${server.url}users`, { fetch: lenient, method: 'POST', body: { name: 'Bob' } }),
+            FixtureMissError
+        );
+        console.log('✓ Lenient mode ignores query and JSON key order');
+        
+        // Injected failures exercise the retry path before the fixture is served
+        const clock = createFakeClock();
+        const flaky = createReplayTransport(fixturePath, {
+            clock,
+            failures: [{ url: '/users?page', times: 2, outcome: 503 }, { method: 'POST', outcome: 'network' }]
+        });
+        const attempts = [];
+        const recovered = await runWithClock(clock, fetchWithRetry(`${server.url}users?page=1&size=2`, {
+            fetch: flaky, clock, onAttempt: ({ attempt }) => attempts.push(attempt)
+        }));
+        assert.strictEqual(recovered.path, '/users?page=1&size=2');
+        assert.deepStrictEqual(attempts, [1, 2, 3]);
+        await runWithClock(clock, fetchWithRetry(`${server.url}users`, {
+            fetch: flaky, clock, method: 'POST', body: { name: 'Ada', role: 'admin' }, idempotencyKey: true
+        }));
+        assert.strictEqual(flaky.calls.length, 5);
+        console.log('✓ Injected 503s and network errors were retried');
+    } finally {
+        fs.rmSync(fixturePath, { force: true });
+    }
+}
+
+/**
+ * Test 31: Command-line interface
+ */
+async function testCli() {
+    console.log('Testing the CLI...');
+    const createOutput = () => ({ text: '', write(chunk) { this.text += chunk; } });
+    const run = async (argv, script) => {
+        const stdout = createOutput();
+        const stderr = createOutput();
+        const transport = createMockTransport(script);
+        const code = await runCli(argv, { stdout, stderr, fetch: transport });
+        return { code, stdout: stdout.text, stderr: stderr.text, calls: transport.calls };
+    };
+    const url = 'https://api.example.com/items';
+    
+    // Success prints the (pretty-printed) body; flags become request options
+    const ok = await run(['-X', 'post', '-H', 'X-Token: abc', '-d', '{"a":1}', '--idempotent', '--base-delay', '0', url],
+        [503, { body: { id: 1 } }]);
+    assert.strictEqual(ok.code, EXIT_CODES.OK);
+    assert.strictEqual(ok.stdout, '{\n  "id": 1\n}\n');
+    assert.strictEqual(ok.calls.length, 2);
+    assert.strictEqual(ok.calls[0].method, 'POST');
+    assert.strictEqual(ok.calls[0].headers['x-token'], 'abc');
+    assert.strictEqual(ok.calls[0].body, '{"a":1}');
+    assert.ok(ok.calls[0].headers['idempotency-key']);
+    console.log('✓ Method, headers, body and retries from flags');
+    
+    // --verbose prints a timeline of attempts to stderr
+    const verbose = await run(['-v', '-r', '2', '-b', 'exponential', '--base-delay', '1', url],
+        ['network', 503, { body: 'plain text' }]);
+    assert.strictEqual(verbose.code, EXIT_CODES.OK);
+    assert.strictEqual(verbose.stdout, 'plain text\n');
+    const timeline = verbose.stderr.trim().split('\n');
+    assert.strictEqual(timeline.length, 6);
+    assert.match(timeline[1], /^#1 \+\d+ms ✗ TypeError: fetch failed \(ECONNRESET\); retrying in 1ms$/);
+    assert.match(timeline[3], /^#2 \+\d+ms ✗ HTTP 503; retrying in 2ms$/);
+    assert.match(timeline[5], /^#3 \+\d+ms ✓ 200$/);
+    console.log(`✓ Verbose timeline:\n    ${timeline.join('\n    ')}`);
+    
+    // Exit codes tell failures apart
+    assert.strictEqual((await run(['--base-delay', '0', url], [404])).code, EXIT_CODES.HTTP_ERROR);
+    assert.strictEqual((await run(['-r', '0', url], ['network'])).code, EXIT_CODES.NETWORK_ERROR);
+    assert.strictEqual((await run(['-r', '0', '-t', '10', url], ['hang'])).code, EXIT_CODES.TIMEOUT);
+    assert.strictEqual((await run(['--total-timeout', '10', url], ['hang'])).code, EXIT_CODES.TIMEOUT);
+    assert.strictEqual((await run(['-r', '1', '--base-delay', '0', url], [503, 'network'])).code,
+        EXIT_CODES.RETRIES_EXHAUSTED);
+    const usage = await run(['-b', 'sometimes', url], []);
+    assert.strictEqual(usage.code, EXIT_CODES.USAGE);
+    assert.match(usage.stderr, /backoff/);
+    assert.strictEqual((await run([], [])).code, EXIT_CODES.USAGE);
+    const badUrl = await run(['-r', '2', '-v', 'notaurl'], []);
+    assert.strictEqual(badUrl.code, EXIT_CODES.USAGE);
+    assert.match(badUrl.stderr, /Invalid URL: notaurl/);
+    assert.strictEqual(badUrl.calls.length, 0);
+    // Only fetch's connection failures are network errors, not every TypeError
+    assert.strictEqual(getExitCode(new TypeError('Cannot read properties of undefined'), 0), EXIT_CODES.ERROR);
+    console.log('✓ Distinct exit codes for HTTP, network, timeout, exhausted and usage errors');
+    
+    // A POST without --idempotent is never retried, so its one failure is not "retries exhausted"
+    const post = await run(['-X', 'POST', '-d', '{}', url], [500]);
+    assert.strictEqual(post.code, EXIT_CODES.HTTP_ERROR);
+    assert.strictEqual(post.calls.length, 1);
+    const keyed = await run(['-X', 'POST', '-H', 'Idempotency-Key: k1', '-r', '1', '--base-delay', '0', url], [500, 500]);
+    assert.strictEqual(keyed.code, EXIT_CODES.RETRIES_EXHAUSTED);
+    console.log('✓ Exit codes follow the retries the method actually allowed');
+}
+
 /**
  * Main test runner
  */
@@ -165,6 +2027,30 @@ async function runAllTests() {
     await runTest('Error Handling', testErrorHandling);
     await runTest('Delay Function', testDelay);
     await runTest('Mock API Call Direct', testMockApiCall);
+    await runTest('Backoff Strategies', testBackoffStrategies);
+    await runTest('Retry Options', testRetryOptions);
+    await runTest('Retry Classification', testRetryClassification);
+    await runTest('Retry-After Header', testRetryAfter);
+    await runTest('Timeouts', testTimeouts);
+    await runTest('AbortSignal Cancellation', testAbortSignal);
+    await runTest('Structured Errors', testStructuredErrors);
+    await runTest('Lifecycle Hooks', testLifecycleHooks);
+    await runTest('Circuit Breaker', testCircuitBreaker);
+    await runTest('Request Coalescing', testRequestCoalescing);
+    await runTest('Response Cache', testResponseCache);
+    await runTest('Stale Cache Modes', testStaleCacheModes);
+    await runTest('Deterministic Transport', testDeterministicTransport);
+    await runTest('Batch Fetching', testBatchFetching);
+    await runTest('Pagination', testPagination);
+    await runTest('HTTP Requests', testHttpRequests);
+    await runTest('Response Validation', testResponseValidation);
+    await runTest('Streaming', testStreaming);
+    await runTest('Hedged Requests', testHedging);
+    await runTest('Retry Budget', testRetryBudget);
+    await runTest('Metrics', testMetrics);
+    await runTest('Outbound Throttling', testOutboundThrottling);
+    await runTest('Record and Replay', testFixtures);
+    await runTest('Command-Line Interface', testCli);
     
     // Test with real API (optional, may fail without internet)
     await runTest('Real API Test (Optional)', testRealApi);
@@ -187,6 +2073,30 @@ module.exports = {
     testRealApi,
     testErrorHandling,
     testDelay,
-    testMockApiCall
+    testMockApiCall,
+    testBackoffStrategies,
+    testRetryOptions,
+    testRetryClassification,
+    testRetryAfter,
+    testTimeouts,
+    testAbortSignal,
+    testStructuredErrors,
+    testLifecycleHooks,
+    testCircuitBreaker,
+    testRequestCoalescing,
+    testResponseCache,
+    testStaleCacheModes,
+    testDeterministicTransport,
+    testBatchFetching,
+    testPagination,
+    testHttpRequests,
+    testResponseValidation,
+    testStreaming,
+    testHedging,
+    testRetryBudget,
+    testMetrics,
+    testOutboundThrottling,
+    testFixtures,
+    testCli
 };
 
@@ -0,0 +1,164 @@
+/**
+ * HTTP Middleware for the Rate Limiter
+ * 
+ * Wraps a RateLimiter as (req, res, next) middleware for Node's http module
+ * and Express/Connect-style apps. Sets the RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers on every limited response
+ * and replies 429 with Retry-After once the limit is hit.
+ */
+
+/**
+ * Default key: the client's IP address
+ * 
+ * @param {http.IncomingMessage} req - The request
+ * @returns {string|undefined} Express's req.ip, or the socket's remote address
+ */
+function getClientIp(req) {
+    return req.ip || (req.socket && req.socket.remoteAddress);
+}
+
+/**
+ * Default response for a rejected request: 429 with a JSON body
+ * 
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {Function} next - The next middleware (unused)
+ * @param {Object} info - { key, cost, status, retryAfter }
+ */
+function sendTooManyRequests(req, res, next, { cost, status, retryAfter }) {
+    let message = `Rate limit exceeded. Try again in ${retryAfter} seconds.`;
+    if (retryAfter === null) {
+        message = `This request costs ${cost} units, more than the limit of ${status.limit}.`;
+    } else if (cost > 1) {
+        message = `Rate limit exceeded. This request costs ${cost} units; try again in ${retryAfter} seconds.`;
+    }
+    
+    res.statusCode = 429;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+        error: 'Too Many Requests',
+        message,
+        limit: status.limit,
+        ...(cost > 1 ? { cost } : {}),
+        retryAfter
+    }));
+}
+
+/**
+ * Counts a request and gets the status to report with it
+ * 
+ * A RateLimiter answers both from one store operation, so the headers agree
+ * with the decision even when other instances share the store. Other
+ * limiters are asked separately.
+ * 
+ * @param {RateLimiter} limiter - The limiter
+ * @param {string} key - Key to limit by
+ * @param {number} units - Units the request uses
+ * @returns {Promise<Object>} { allowed, status }
+ */
+async function checkLimit(limiter, key, units) {
+    if (typeof limiter.consumeWithStatus === 'function') {
+        return limiter.consumeWithStatus(key, units);
+    }
+    
+    const allowed = await (units === 1 ? limiter.isAllowed(key) : limiter.consume(key, units));
+    return { allowed, status: await limiter.getStatus(key, units) };
+}
+
+/**
+ * Creates rate limiting middleware
+ * 
+ * The returned function takes (req, res, next). With Node's http module,
+ * pass the rest of the request handling as next:
+ * 
+ *     const rateLimit = createRateLimitMiddleware(limiter);
+ *     http.createServer((req, res) => rateLimit(req, res, () => handle(req, res)));
+ * 
+ * Errors from the key generator, the hooks or the limiter are passed to
+ * next(error), the Express convention.
+ * 
+ * @param {RateLimiter} limiter - Limiter to check requests against (sync or async store)
+ * @param {Object} [options] - Middleware options
+ * @param {Function} [options.keyGenerator] - (req, res) → key to limit by, e.g. a user ID or API key
+ *   (default: the client's IP address); may return a Promise
+ * @param {Function} [options.skip] - (req, res) → true to let a request through without counting it
+ * @param {number|Function} [options.cost=1] - Units each request uses, or (req, res) → units,
+ *   e.g. more for bulk exports; may return a Promise
+ * @param {Function} [options.handler] - (req, res, next, { key, cost, status, retryAfter }) → sends
+ *   the response for a rejected request (default: 429 with a JSON body). retryAfter is how long
+ *   until this request's cost fits, or null if it never can
+ * @param {boolean} [options.headers=true] - Set the RateLimit-* headers
+ * @returns {Function} Middleware (req, res, next) → Promise<void>
+ * @throws {TypeError} If the limiter or an option is invalid
+ */
+function createRateLimitMiddleware(limiter, {
+    keyGenerator = getClientIp,
+    skip,
+    cost = 1,
+    handler = sendTooManyRequests,
+    headers = true
+} = {}) {
+    if (!limiter || typeof limiter.isAllowed !== 'function' || typeof limiter.getStatus !== 'function') {
+        throw new TypeError('limiter must implement isAllowed and getStatus (e.g. a RateLimiter)');
+    }
+    for (const [name, hook] of Object.entries({ keyGenerator, skip, handler })) {
+        if (hook !== undefined && typeof hook !== 'function') {
+            throw new TypeError(`${name} must be a function`);
+        }
+    }
+    if (typeof cost !== 'function' && (!Number.isInteger(cost) || cost < 1)) {
+        throw new TypeError('cost must be a positive integer or a function');
+    }
+    if (cost !== 1 && typeof limiter.consume !== 'function') {
+        throw new TypeError('limiter must implement consume to use cost');
+    }
+    
+    return async function rateLimitMiddleware(req, res, next = () => {}) {
+        try {
+            // Skipped requests go straight through without being counted
+            if (!skip || !await skip(req, res)) {
+                const key = await keyGenerator(req, res);
+                if (!key || typeof key !== 'string') {
+                    throw new TypeError('keyGenerator must return a non-empty string');
+                }
+                
+                const units = typeof cost === 'function' ? await cost(req, res) : cost;
+                const { allowed, status } = await checkLimit(limiter, key, units);
+                
+                if (headers && !res.headersSent) {
+                    res.setHeader('RateLimit-Limit', String(status.limit));
+                    res.setHeader('RateLimit-Remaining', String(status.remaining));
+                    res.setHeader('RateLimit-Reset', String(status.resetInSeconds));
+                }
+                
+                if (!allowed) {
+                    // Never tell clients to retry immediately while they are blocked; a cost
+                    // that can never fit gets no Retry-After at all
+                    const waitSeconds = status.retryAfterSeconds !== undefined
+                        ? status.retryAfterSeconds
+                        : status.resetInSeconds;
+                    const retryAfter = waitSeconds === null ? null : Math.max(1, waitSeconds);
+                    if (retryAfter !== null && !res.headersSent) {
+                        res.setHeader('Retry-After', String(retryAfter));
+                    }
+                    await handler(req, res, next, { key, cost: units, status, retryAfter });
+                    return;
+                }
+            }
+        } catch (error) {
+            next(error);
+            return;
+        }
+        
+        // Outside the try so that errors from later middleware are not reported twice
+        next();
+    };
+}
+
+// Export for use in other modules that use the middleware module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createRateLimitMiddleware,
+        getClientIp
+    };
+}
@@ -3,28 +3,883 @@
  * 
  * Limits requests to 5 per 60 seconds per user using a sliding window algorithm.
  * Tracks requests by user ID and automatically resets after the time window.
+ * Token bucket, leaky bucket, fixed window and sliding-window counter
+ * algorithms can be selected instead when the limiter is created.
  */
 
+/**
+ * Sliding log algorithm (the default)
+ * 
+ * Keeps the timestamp of every request inside the window. Exact, but memory
+ * grows with the limit.
+ * 
+ * Every algorithm implements the same contract, counting in units (a plain
+ * request costs 1):
+ * - consume(state, now, cost) → { allowed, state }; all or nothing, a
+ *   request that does not fit is not counted at all
+ * - inspect(state, now, cost) → { used, remaining, resetTime, retryTime },
+ *   where resetTime is when remaining next goes up (now if nothing is used)
+ *   and retryTime is when cost units will fit (Infinity if they never can)
+ * - isExpired(state, now) → true once the state no longer affects any decision
+ * - ttlMs → how long after its last update a state can still matter, used
+ *   by stores that expire entries themselves
+ * State is undefined for a user that has not been seen yet. It must survive
+ * a JSON round trip so that shared stores can hold it.
+ */
+class SlidingLogAlgorithm {
+    /**
+     * @param {number} maxRequests - Maximum number of requests per window
+     * @param {number} windowMs - Time window in milliseconds
+     */
+    constructor(maxRequests, windowMs) {
+        this.name = 'sliding-log';
+        this.limit = maxRequests;
+        this.windowMs = windowMs;
+        this.ttlMs = windowMs;
+    }
+    
+    /**
+     * Drops timestamps outside the window
+     * 
+     * @param {number[]} [timestamps=[]] - Request timestamps
+     * @param {number} now - Current time in milliseconds
+     * @returns {number[]} Timestamps inside the window
+     */
+    getValidTimestamps(timestamps = [], now) {
+        const cutoffTime = now - this.windowMs;
+        return timestamps.filter(ts => ts > cutoffTime);
+    }
+    
+    /**
+     * Records a request if the window has room for it
+     * 
+     * @param {number[]} [state] - Request timestamps, one per unit
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const timestamps = this.getValidTimestamps(state, now);
+        
+        if (timestamps.length + cost > this.limit) {
+            return { allowed: false, state: timestamps };
+        }
+        
+        for (let i = 0; i < cost; i++) {
+            timestamps.push(now);
+        }
+        return { allowed: true, state: timestamps };
+    }
+    
+    /**
+     * Reports usage without recording a request
+     * 
+     * @param {number[]} [state] - Request timestamps, one per unit
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime }
+     */
+    inspect(state, now, cost = 1) {
+        const timestamps = this.getValidTimestamps(state, now).sort((a, b) => a - b);
+        const remaining = Math.max(0, this.limit - timestamps.length);
+        
+        // cost units fit once enough of the oldest timestamps have left the window
+        let retryTime = now;
+        if (cost > this.limit) {
+            retryTime = Infinity;
+        } else if (cost > remaining) {
+            retryTime = timestamps[cost - remaining - 1] + this.windowMs;
+        }
+        
+        return {
+            used: timestamps.length,
+            remaining,
+            resetTime: timestamps.length > 0 ? timestamps[0] + this.windowMs : now,
+            retryTime
+        };
+    }
+    
+    /**
+     * @param {number[]} state - Request timestamps
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if every timestamp is outside the window
+     */
+    isExpired(state, now) {
+        return this.getValidTimestamps(state, now).length === 0;
+    }
+}
+
+/**
+ * Fixed window algorithm
+ * 
+ * Counts requests in windows aligned to multiples of windowMs. O(1) memory,
+ * but allows up to twice the limit around a window boundary.
+ */
+class FixedWindowAlgorithm {
+    /**
+     * @param {number} maxRequests - Maximum number of requests per window
+     * @param {number} windowMs - Time window in milliseconds
+     */
+    constructor(maxRequests, windowMs) {
+        this.name = 'fixed-window';
+        this.limit = maxRequests;
+        this.windowMs = windowMs;
+        this.ttlMs = windowMs;
+    }
+    
+    /**
+     * Returns the count for the window containing now
+     * 
+     * @param {Object} [state] - { windowStart, count }
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} { windowStart, count }
+     */
+    getWindow(state, now) {
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        const count = state && state.windowStart === windowStart ? state.count : 0;
+        return { windowStart, count };
+    }
+    
+    /**
+     * Records a request if the current window has room for it
+     * 
+     * @param {Object} [state] - { windowStart, count }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const window = this.getWindow(state, now);
+        
+        if (window.count + cost > this.limit) {
+            return { allowed: false, state: window };
+        }
+        
+        return { allowed: true, state: { windowStart: window.windowStart, count: window.count + cost } };
+    }
+    
+    /**
+     * Reports usage without recording a request
+     * 
+     * @param {Object} [state] - { windowStart, count }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime }
+     */
+    inspect(state, now, cost = 1) {
+        const window = this.getWindow(state, now);
+        const remaining = Math.max(0, this.limit - window.count);
+        const resetTime = window.count > 0 ? window.windowStart + this.windowMs : now;
+        
+        let retryTime = now;
+        if (cost > this.limit) {
+            retryTime = Infinity;
+        } else if (cost > remaining) {
+            retryTime = resetTime;
+        }
+        
+        return { used: window.count, remaining, resetTime, retryTime };
+    }
+    
+    /**
+     * @param {Object} state - { windowStart, count }
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once the stored window has ended
+     */
+    isExpired(state, now) {
+        return state.windowStart + this.windowMs <= now;
+    }
+}
+
+/**
+ * Sliding-window counter algorithm
+ * 
+ * Approximates the sliding log with O(1) memory: the previous fixed window's
+ * count is weighted by how much of it still overlaps the sliding window.
+ */
+class SlidingWindowCounterAlgorithm {
+    /**
+     * @param {number} maxRequests - Maximum number of requests per window
+     * @param {number} windowMs - Time window in milliseconds
+     */
+    constructor(maxRequests, windowMs) {
+        this.name = 'sliding-window-counter';
+        this.limit = maxRequests;
+        this.windowMs = windowMs;
+        this.ttlMs = 2 * windowMs;
+    }
+    
+    /**
+     * Rolls the counters forward to the window containing now
+     * 
+     * @param {Object} [state] - { windowStart, count, previousCount }
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} { windowStart, count, previousCount }
+     */
+    getWindows(state, now) {
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        
+        if (state && state.windowStart === windowStart) {
+            return { windowStart, count: state.count, previousCount: state.previousCount };
+        }
+        if (state && state.windowStart === windowStart - this.windowMs) {
+            return { windowStart, count: 0, previousCount: state.count };
+        }
+        return { windowStart, count: 0, previousCount: 0 };
+    }
+    
+    /**
+     * Estimates the number of requests in the sliding window ending at now
+     * 
+     * @param {Object} windows - Result of getWindows
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Weighted request count (may be fractional)
+     */
+    estimate(windows, now) {
+        const overlap = 1 - (now - windows.windowStart) / this.windowMs;
+        return windows.previousCount * overlap + windows.count;
+    }
+    
+    /**
+     * Records a request if the estimated count leaves room for it
+     * 
+     * @param {Object} [state] - { windowStart, count, previousCount }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const windows = this.getWindows(state, now);
+        
+        if (this.estimate(windows, now) + cost > this.limit) {
+            return { allowed: false, state: windows };
+        }
+        
+        return { allowed: true, state: { ...windows, count: windows.count + cost } };
+    }
+    
+    /**
+     * Finds when the estimate drops to target or below
+     * 
+     * @param {Object} windows - Result of getWindows
+     * @param {number} target - Estimate to wait for (at least 0)
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Time in milliseconds (now if it already has)
+     */
+    timeUntilEstimate(windows, target, now) {
+        if (this.estimate(windows, now) <= target) {
+            return now;
+        }
+        
+        let time;
+        if (windows.count <= target) {
+            // The previous window's weight decays within the current window
+            time = windows.windowStart + this.windowMs * (1 - (target - windows.count) / windows.previousCount);
+        } else {
+            // The current count becomes the previous window's and decays from there
+            time = windows.windowStart + this.windowMs * (2 - target / windows.count);
+        }
+        return Math.max(now, Math.ceil(time));
+    }
+    
+    /**
+     * Reports usage without recording a request
+     * 
+     * @param {Object} [state] - { windowStart, count, previousCount }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime }
+     */
+    inspect(state, now, cost = 1) {
+        const windows = this.getWindows(state, now);
+        const remaining = Math.max(0, Math.floor(this.limit - this.estimate(windows, now)));
+        
+        return {
+            used: this.limit - remaining,
+            remaining,
+            // When the estimate drops low enough for one more unit
+            resetTime: remaining >= this.limit ? now : this.timeUntilEstimate(windows, this.limit - remaining - 1, now),
+            retryTime: cost > this.limit ? Infinity : this.timeUntilEstimate(windows, this.limit - cost, now)
+        };
+    }
+    
+    /**
+     * @param {Object} state - { windowStart, count, previousCount }
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once neither window overlaps the sliding window
+     */
+    isExpired(state, now) {
+        return state.windowStart + 2 * this.windowMs <= now;
+    }
+}
+
+/**
+ * Token bucket algorithm
+ * 
+ * The bucket holds up to `capacity` tokens and refills at a steady rate;
+ * each request takes one token. Allows bursts up to the capacity after
+ * a quiet period.
+ */
+class TokenBucketAlgorithm {
+    /**
+     * @param {number} maxRequests - Tokens refilled per window
+     * @param {number} windowMs - Time window in milliseconds
+     * @param {Object} [options] - Algorithm options
+     * @param {number} [options.capacity=maxRequests] - Largest burst allowed
+     */
+    constructor(maxRequests, windowMs, { capacity = maxRequests } = {}) {
+        if (typeof capacity !== 'number' || !(capacity >= 1)) {
+            throw new TypeError('capacity must be a number of at least 1');
+        }
+        
+        this.name = 'token-bucket';
+        this.limit = capacity;
+        this.refillPerMs = maxRequests / windowMs;
+        this.ttlMs = Math.ceil(capacity / this.refillPerMs);
+    }
+    
+    /**
+     * Adds the tokens earned since the last update
+     * 
+     * @param {Object} [state] - { tokens, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Tokens available now
+     */
+    getTokens(state, now) {
+        if (!state) {
+            return this.limit;
+        }
+        return Math.min(this.limit, state.tokens + Math.max(0, now - state.updatedAt) * this.refillPerMs);
+    }
+    
+    /**
+     * Takes one token per unit if enough are available
+     * 
+     * @param {Object} [state] - { tokens, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const tokens = this.getTokens(state, now);
+        
+        if (tokens < cost) {
+            return { allowed: false, state: { tokens, updatedAt: now } };
+        }
+        
+        return { allowed: true, state: { tokens: tokens - cost, updatedAt: now } };
+    }
+    
+    /**
+     * Reports usage without taking a token
+     * 
+     * @param {Object} [state] - { tokens, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime }
+     */
+    inspect(state, now, cost = 1) {
+        const tokens = this.getTokens(state, now);
+        const remaining = Math.floor(tokens);
+        
+        // Time until the bucket holds the given number of tokens
+        const timeUntil = target => (tokens >= target ? now : now + Math.ceil((target - tokens) / this.refillPerMs));
+        
+        return {
+            used: this.limit - remaining,
+            remaining,
+            resetTime: remaining >= this.limit ? now : timeUntil(remaining + 1),
+            retryTime: cost > this.limit ? Infinity : timeUntil(cost)
+        };
+    }
+    
+    /**
+     * @param {Object} state - { tokens, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once the bucket has refilled
+     */
+    isExpired(state, now) {
+        return this.getTokens(state, now) >= this.limit;
+    }
+}
+
+/**
+ * Leaky bucket algorithm (as a meter)
+ * 
+ * Each request adds one unit to a bucket that drains at a steady rate; a
+ * request that would overflow the bucket is rejected. With a capacity of 1
+ * requests are spaced evenly, windowMs / maxRequests apart.
+ */
+class LeakyBucketAlgorithm {
+    /**
+     * @param {number} maxRequests - Units drained per window
+     * @param {number} windowMs - Time window in milliseconds
+     * @param {Object} [options] - Algorithm options
+     * @param {number} [options.capacity=maxRequests] - Bucket size
+     */
+    constructor(maxRequests, windowMs, { capacity = maxRequests } = {}) {
+        if (typeof capacity !== 'number' || !(capacity >= 1)) {
+            throw new TypeError('capacity must be a number of at least 1');
+        }
+        
+        this.name = 'leaky-bucket';
+        this.limit = capacity;
+        this.leakPerMs = maxRequests / windowMs;
+        this.ttlMs = Math.ceil(capacity / this.leakPerMs);
+    }
+    
+    /**
+     * Drains the bucket for the time since the last update
+     * 
+     * @param {Object} [state] - { level, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Current level
+     */
+    getLevel(state, now) {
+        if (!state) {
+            return 0;
+        }
+        return Math.max(0, state.level - Math.max(0, now - state.updatedAt) * this.leakPerMs);
+    }
+    
+    /**
+     * Adds a request's units to the bucket if they fit
+     * 
+     * @param {Object} [state] - { level, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const level = this.getLevel(state, now);
+        
+        if (level + cost > this.limit) {
+            return { allowed: false, state: { level, updatedAt: now } };
+        }
+        
+        return { allowed: true, state: { level: level + cost, updatedAt: now } };
+    }
+    
+    /**
+     * Reports usage without adding a request
+     * 
+     * @param {Object} [state] - { level, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime }
+     */
+    inspect(state, now, cost = 1) {
+        const level = this.getLevel(state, now);
+        const remaining = Math.floor(this.limit - level);
+        
+        // Time until enough has drained for the given number of units
+        const timeUntil = units => {
+            const excess = level - (this.limit - units);
+            return excess <= 0 ? now : now + Math.ceil(excess / this.leakPerMs);
+        };
+        
+        return {
+            used: this.limit - remaining,
+            remaining,
+            resetTime: remaining >= this.limit ? now : timeUntil(remaining + 1),
+            retryTime: cost > this.limit ? Infinity : timeUntil(cost)
+        };
+    }
+    
+    /**
+     * @param {Object} state - { level, updatedAt }
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once the bucket is empty
+     */
+    isExpired(state, now) {
+        return this.getLevel(state, now) === 0;
+    }
+}
+
+/**
+ * Built-in algorithms by name
+ */
+const ALGORITHMS = {
+    'sliding-log': SlidingLogAlgorithm,
+    'fixed-window': FixedWindowAlgorithm,
+    'sliding-window-counter': SlidingWindowCounterAlgorithm,
+    'token-bucket': TokenBucketAlgorithm,
+    'leaky-bucket': LeakyBucketAlgorithm
+};
+
+/**
+ * Resolves the algorithm option to an algorithm instance
+ * 
+ * @param {string|Object} algorithm - Algorithm name, or an object implementing consume/inspect/isExpired
+ * @param {number} maxRequests - Maximum number of requests per window
+ * @param {number} windowMs - Time window in milliseconds
+ * @param {Object} options - Remaining RateLimiter options, passed to the algorithm
+ * @returns {Object} Algorithm instance
+ * @throws {TypeError} If the algorithm is unknown or incomplete
+ */
+function createAlgorithm(algorithm, maxRequests, windowMs, options) {
+    if (typeof algorithm === 'string') {
+        const Algorithm = ALGORITHMS[algorithm];
+        if (!Algorithm) {
+            throw new TypeError(
+                `Unknown algorithm "${algorithm}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`
+            );
+        }
+        return new Algorithm(maxRequests, windowMs, options);
+    }
+    
+    const isComplete = algorithm && ['consume', 'inspect', 'isExpired']
+        .every(method => typeof algorithm[method] === 'function');
+    if (!isComplete) {
+        throw new TypeError('algorithm must be a name or an object with consume, inspect and isExpired methods');
+    }
+    return algorithm;
+}
+
+/**
+ * Names a window by its length, e.g. 1000 → '1s', 86400000 → '1d'
+ * 
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {string} Window name
+ */
+function formatWindow(windowMs) {
+    const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    for (const [unit, size] of units) {
+        if (windowMs % size === 0) {
+            return `${windowMs / size}${unit}`;
+        }
+    }
+    return `${windowMs}ms`;
+}
+
+/**
+ * Multi-window algorithm for policies
+ * 
+ * Enforces several windows at once (e.g. 5/second, 100/minute and
+ * 2000/day). A request is allowed only when every window allows it, and is
+ * then counted in all of them; a rejected request is counted in none.
+ * Implements the same contract as the single-window algorithms, so it
+ * works with every store; the state holds one entry per window name.
+ */
+class MultiWindowAlgorithm {
+    /**
+     * @param {Object} policy - { windows: [{ maxRequests, windowMs, name?, algorithm?, capacity? }] }
+     * @param {Object} [defaults] - Algorithm and options for windows that don't name their own
+     * @throws {TypeError} If the policy is invalid
+     */
+    constructor(policy, { algorithm = 'sliding-log', ...algorithmOptions } = {}) {
+        if (!policy || !Array.isArray(policy.windows) || policy.windows.length === 0) {
+            throw new TypeError('policy must have a non-empty windows array');
+        }
+        
+        this.name = 'multi-window';
+        this.windows = policy.windows.map(window => {
+            const {
+                maxRequests,
+                windowMs,
+                name = formatWindow(windowMs),
+                algorithm: windowAlgorithm = algorithm,
+                ...options
+            } = window || {};
+            if (typeof maxRequests !== 'number' || !(maxRequests >= 1)) {
+                throw new TypeError('Every window needs maxRequests of at least 1');
+            }
+            if (typeof windowMs !== 'number' || !(windowMs > 0)) {
+                throw new TypeError('Every window needs a positive windowMs');
+            }
+            return {
+                name,
+                maxRequests,
+                windowMs,
+                algorithm: createAlgorithm(windowAlgorithm, maxRequests, windowMs, { ...algorithmOptions, ...options })
+            };
+        });
+        
+        const names = this.windows.map(window => window.name);
+        if (new Set(names).size !== names.length) {
+            throw new TypeError(`Window names must be unique, got: ${names.join(', ')}`);
+        }
+        
+        // The shortest window is the one reported when nothing else applies
+        const shortest = this.windows.reduce((a, b) => (b.windowMs < a.windowMs ? b : a));
+        this.limit = shortest.algorithm.limit;
+        this.maxRequests = shortest.maxRequests;
+        this.windowMs = shortest.windowMs;
+        this.ttlMs = Math.max(...this.windows.map(window => window.algorithm.ttlMs || window.windowMs));
+    }
+    
+    /**
+     * Counts a request in every window, or in none if any window is full
+     * 
+     * @param {Object} [state] - { windows: { name: state }, expiresAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object} { allowed, state }
+     */
+    consume(state, now, cost = 1) {
+        const current = state ? state.windows : {};
+        const windows = {};
+        
+        for (const { name, algorithm } of this.windows) {
+            const result = algorithm.consume(current[name], now, cost);
+            if (!result.allowed) {
+                return { allowed: false, state: state || { windows: {}, expiresAt: now } };
+            }
+            windows[name] = result.state;
+        }
+        
+        return { allowed: true, state: { windows, expiresAt: now + this.ttlMs } };
+    }
+    
+    /**
+     * Reports every window, and which one is blocking
+     * 
+     * A window is blocking when it has fewer than cost units left. The
+     * top-level figures come from the binding window: the blocking window
+     * that frees up last, or when nothing blocks, the one with the fewest
+     * units left.
+     * 
+     * @param {Object} [state] - { windows: { name: state }, expiresAt }
+     * @param {number} now - Current time in milliseconds
+     * @param {number} [cost=1] - Units the next request needs
+     * @returns {Object} { used, remaining, resetTime, retryTime, limit, windows, blockedBy }
+     */
+    inspect(state, now, cost = 1) {
+        const current = state ? state.windows : {};
+        const windows = this.windows.map(({ name, windowMs, algorithm }) => {
+            const { used, remaining, resetTime, retryTime } = algorithm.inspect(current[name], now, cost);
+            return {
+                name,
+                limit: algorithm.limit,
+                windowMs,
+                used,
+                remaining,
+                resetTime,
+                retryTime,
+                blocking: remaining < cost
+            };
+        });
+        
+        const blocking = windows.filter(window => window.blocking);
+        const binding = blocking.length > 0
+            ? blocking.reduce((a, b) => (b.retryTime > a.retryTime ? b : a))
+            : windows.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+        
+        return {
+            used: binding.used,
+            remaining: binding.remaining,
+            resetTime: binding.resetTime,
+            // cost units fit once every window has room for them
+            retryTime: Math.max(...windows.map(window => window.retryTime)),
+            limit: binding.limit,
+            windows,
+            blockedBy: blocking.length > 0 ? binding.name : null
+        };
+    }
+    
+    /**
+     * @param {Object} state - { windows: { name: state }, expiresAt }
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once no window has been written for the longest window's ttl
+     */
+    isExpired(state, now) {
+        return state.expiresAt <= now;
+    }
+}
+
+/**
+ * Storage failure policies: 'open' allows requests while the store is
+ * unreachable, 'closed' rejects them
+ */
+const FAILURE_MODES = ['open', 'closed'];
+
+/**
+ * In-memory store (the default)
+ * 
+ * Keeps each user's algorithm state in a Map. Operations are synchronous,
+ * so a RateLimiter on this store answers synchronously too; update() is
+ * atomic because nothing else can run between its read and its write.
+ * 
+ * Every store implements the same contract, synchronously or with Promises:
+ * - get(key) → state or undefined
+ * - update(key, updater, ttlMs) → atomically reads the state, calls
+ *   updater(state) → { state, ... }, stores the new state and returns
+ *   the updater's result (the check-and-increment step)
+ * - delete(key) and clear()
+ * - cleanup(isExpired) (optional) → drops states the algorithm no longer needs
+ */
+class MemoryStore {
+    constructor() {
+        // Structure: { key: state }, e.g. [timestamp1, timestamp2, ...] for the sliding log
+        this.data = new Map();
+    }
+    
+    /**
+     * @param {string} key - Store key
+     * @returns {*} Stored state, or undefined
+     */
+    get(key) {
+        return this.data.get(key);
+    }
+    
+    /**
+     * Applies updater to the stored state and saves the result
+     * 
+     * @param {string} key - Store key
+     * @param {Function} updater - Called with the current state; returns { state, ... }
+     * @returns {Object} The updater's result
+     */
+    update(key, updater) {
+        const result = updater(this.data.get(key));
+        this.data.set(key, result.state);
+        return result;
+    }
+    
+    /**
+     * @param {string} key - Store key
+     */
+    delete(key) {
+        this.data.delete(key);
+    }
+    
+    clear() {
+        this.data.clear();
+    }
+    
+    /**
+     * Removes entries that no longer affect any decision
+     * 
+     * @param {Function} isExpired - Called with each state; true to remove it
+     */
+    cleanup(isExpired) {
+        for (const [key, state] of this.data.entries()) {
+            if (isExpired(state)) {
+                this.data.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Calls callback with value, waiting for it first if it is a Promise
+ * 
+ * Lets the limiter stay synchronous on a synchronous store.
+ * 
+ * @param {*} value - Value or Promise
+ * @param {Function} callback - Called with the resolved value
+ * @returns {*} The callback's result, or a Promise of it
+ */
+function whenReady(value, callback) {
+    return value && typeof value.then === 'function' ? value.then(callback) : callback(value);
+}
+
 /**
  * Rate Limiter Class
  * 
  * Implements a sliding window rate limiter that allows a maximum number of
  * requests per time window per user. Automatically cleans up expired entries.
+ * The algorithm and the storage are pluggable; all of them share this interface.
+ * With an asynchronous store (e.g. RedisStore) or tier resolver, isAllowed,
+ * makeRequest, getRemainingRequests, getStatus and reset return Promises.
+ * 
+ * Instead of one maxRequests/windowMs pair, a limiter can enforce a policy of
+ * several windows, or pick a policy per user from a set of tiers:
+ * 
+ *     new RateLimiter({ policy: { windows: [{ maxRequests: 5, windowMs: 1000 }, ...] } });
+ *     new RateLimiter({ tiers: { free: policy, pro: policy }, resolveTier: userId => 'free' });
  */
 class RateLimiter {
     /**
      * Creates a new RateLimiter instance
      * 
-     * @param {number} maxRequests - Maximum number of requests allowed (default: 5)
+     * @param {number|Object} maxRequests - Maximum number of requests allowed (default: 5),
+     *   or the options object when using a policy or tiers
      * @param {number} windowMs - Time window in milliseconds (default: 60000 = 60 seconds)
+     * @param {Object} [options] - Additional options
+     * @param {Object} [options.policy] - { windows: [{ maxRequests, windowMs, name? }] }, all enforced at once;
+     *   replaces maxRequests and windowMs
+     * @param {Object} [options.tiers] - Policies by tier name, e.g. { free: policy, pro: policy }
+     * @param {Function} [options.resolveTier] - userId → tier name (or a Promise of it); required with tiers
+     * @param {string|Object} [options.algorithm='sliding-log'] - 'sliding-log', 'fixed-window',
+     *   'sliding-window-counter', 'token-bucket', 'leaky-bucket', or a custom algorithm object
+     * @param {number} [options.capacity] - Bucket size for 'token-bucket' and 'leaky-bucket' (default: maxRequests)
+     * @param {Object} [options.store] - Where per-user state lives (default: a new MemoryStore)
+     * @param {string} [options.failureMode='open'] - 'open' allows and 'closed' rejects requests
+     *   while the store is failing
+     * @param {Function} [options.onStoreError] - Called with (error, { operation, userId }) when the store fails
+     * @param {Function} [options.now=Date.now] - Time source, replaceable for testing
      */
-    constructor(maxRequests = 5, windowMs = 60000) {
+    constructor(maxRequests = 5, windowMs = 60000, options = {}) {
+        // new RateLimiter({ policy | tiers, ... }): the options come first
+        if (maxRequests !== null && typeof maxRequests === 'object') {
+            options = maxRequests;
+            maxRequests = 5;
+            windowMs = 60000;
+        }
+        
+        const {
+            algorithm = 'sliding-log',
+            policy,
+            tiers,
+            resolveTier,
+            store = new MemoryStore(),
+            failureMode = 'open',
+            onStoreError,
+            now = Date.now,
+            ...algorithmOptions
+        } = options;
+        
+        if (typeof maxRequests !== 'number' || !(maxRequests >= 1)) {
+            throw new TypeError('maxRequests must be a number of at least 1');
+        }
+        if (typeof windowMs !== 'number' || !(windowMs > 0)) {
+            throw new TypeError('windowMs must be a positive number');
+        }
+        if (policy !== undefined && tiers !== undefined) {
+            throw new TypeError('Use either policy or tiers, not both');
+        }
+        if (tiers !== undefined && (!tiers || typeof tiers !== 'object' || Object.keys(tiers).length === 0)) {
+            throw new TypeError('tiers must map tier names to policies');
+        }
+        if ((tiers !== undefined) !== (typeof resolveTier === 'function')) {
+            throw new TypeError('tiers and a resolveTier function must be given together');
+        }
+        if (!store || !['get', 'update', 'delete', 'clear'].every(method => typeof store[method] === 'function')) {
+            throw new TypeError('store must implement get, update, delete and clear');
+        }
+        if (!FAILURE_MODES.includes(failureMode)) {
+            throw new TypeError(`failureMode must be one of: ${FAILURE_MODES.join(', ')}`);
+        }
+        if (onStoreError !== undefined && typeof onStoreError !== 'function') {
+            throw new TypeError('onStoreError must be a function');
+        }
+        
         this.maxRequests = maxRequests;
         this.windowMs = windowMs;
         
-        // Map to store request timestamps per user
-        // Structure: { userId: [timestamp1, timestamp2, ...] }
-        this.userRequests = new Map();
+        if (tiers) {
+            this.tiers = {};
+            for (const [tier, tierPolicy] of Object.entries(tiers)) {
+                this.tiers[tier] = new MultiWindowAlgorithm(tierPolicy, { algorithm, ...algorithmOptions });
+            }
+            this.resolveTier = resolveTier;
+            // Used where no user is involved (cleanup); every tier expires states the same way
+            this.algorithm = Object.values(this.tiers)[0];
+        } else if (policy) {
+            this.algorithm = new MultiWindowAlgorithm(policy, { algorithm, ...algorithmOptions });
+        } else {
+            this.algorithm = createAlgorithm(algorithm, maxRequests, windowMs, algorithmOptions);
+        }
+        
+        if (policy || tiers) {
+            // The shortest window stands in where a single window is expected
+            this.maxRequests = this.algorithm.maxRequests;
+            this.windowMs = this.algorithm.windowMs;
+        }
+        this.store = store;
+        this.failureMode = failureMode;
+        this.onStoreError = onStoreError;
+        this.now = now;
         
         // Cleanup interval to remove expired entries
         this.cleanupInterval = setInterval(() => {
@@ -34,149 +889,352 @@ class RateLimiter {
     
     /**
      * Cleans up expired request entries for all users
-     * Removes timestamps older than the current window
+     * Removes users whose state no longer affects any decision. Stores
+     * without a cleanup method expire entries themselves (using ttlMs).
      */
     cleanup() {
-        const now = Date.now();
-        const cutoffTime = now - this.windowMs;
-        
-        for (const [userId, timestamps] of this.userRequests.entries()) {
-            // Filter out timestamps outside the window
-            const validTimestamps = timestamps.filter(ts => ts > cutoffTime);
-            
-            if (validTimestamps.length === 0) {
-                // Remove user entry if no valid timestamps
-                this.userRequests.delete(userId);
-            } else {
-                // Update with filtered timestamps
-                this.userRequests.set(userId, validTimestamps);
-            }
+        if (typeof this.store.cleanup === 'function') {
+            const now = this.now();
+            this.store.cleanup(state => this.algorithm.isExpired(state, now));
         }
     }
     
     /**
-     * Checks if a request is allowed for a given user
+     * Validates a user ID
      * 
      * @param {string} userId - The user ID to check
-     * @returns {boolean} True if request is allowed, false if rate limit exceeded
+     * @throws {TypeError} If userId is not a non-empty string
      */
-    isAllowed(userId) {
+    validateUserId(userId) {
         if (!userId || typeof userId !== 'string') {
             throw new TypeError('userId must be a non-empty string');
         }
+    }
+    
+    /**
+     * Finds the algorithm that applies to a user
+     * 
+     * @param {string} userId - The user ID
+     * @returns {Object|Promise<Object>} { tier, algorithm }, with tier undefined unless tiers are used
+     * @throws {TypeError} If the resolver returns an unknown tier
+     */
+    resolvePolicy(userId) {
+        if (!this.tiers) {
+            return { tier: undefined, algorithm: this.algorithm };
+        }
         
-        const now = Date.now();
-        const cutoffTime = now - this.windowMs;
-        
-        // Get existing timestamps for this user
-        let timestamps = this.userRequests.get(userId) || [];
-        
-        // Remove timestamps outside the current window
-        timestamps = timestamps.filter(ts => ts > cutoffTime);
+        return whenReady(this.resolveTier(userId), tier => {
+            if (!Object.prototype.hasOwnProperty.call(this.tiers, tier)) {
+                throw new TypeError(
+                    `resolveTier returned unknown tier "${tier}" for user ${userId}. ` +
+                    `Expected one of: ${Object.keys(this.tiers).join(', ')}`
+                );
+            }
+            return { tier, algorithm: this.tiers[tier] };
+        });
+    }
+    
+    /**
+     * Runs a store operation, applying the failure policy if it fails
+     * 
+     * @param {string} operation - Limiter method, reported to onStoreError
+     * @param {string} userId - The user ID
+     * @param {Function} call - Performs the store operation
+     * @param {Function} onResult - Maps the store's result to the method's result
+     * @param {Function} onFailure - Produces the method's result under the failure policy
+     * @returns {*} The method's result, or a Promise of it
+     */
+    withStore(operation, userId, call, onResult, onFailure) {
+        const fail = error => {
+            if (this.onStoreError) {
+                this.onStoreError(error, { operation, userId });
+            }
+            return onFailure(this.failureMode === 'open');
+        };
         
-        // Check if adding this request would exceed the limit
-        if (timestamps.length >= this.maxRequests) {
-            // Rate limit exceeded
-            return false;
+        let result;
+        try {
+            result = call();
+        } catch (error) {
+            return fail(error);
         }
         
-        // Add current request timestamp
-        timestamps.push(now);
-        this.userRequests.set(userId, timestamps);
+        if (result && typeof result.then === 'function') {
+            return result.then(onResult, fail);
+        }
+        return onResult(result);
+    }
+    
+    /**
+     * Validates a request cost
+     * 
+     * @param {number} cost - Units a request uses
+     * @throws {TypeError} If cost is not a positive integer
+     */
+    validateCost(cost) {
+        if (!Number.isInteger(cost) || cost < 1) {
+            throw new TypeError('cost must be a positive integer');
+        }
+    }
+    
+    /**
+     * Counts a request of cost units if it fits (shared by isAllowed, consume
+     * and consumeWithStatus)
+     * 
+     * @param {string} operation - Limiter method, reported to onStoreError
+     * @param {string} userId - The user ID
+     * @param {number} cost - Units the request uses
+     * @param {boolean} [withStatus=false] - Also report the status right after the decision
+     * @returns {boolean|Object|Promise} True if the request was counted, or { allowed, status }
+     */
+    consumeUnits(operation, userId, cost, withStatus = false) {
+        this.validateUserId(userId);
+        this.validateCost(cost);
         
-        // Request allowed
-        return true;
+        return whenReady(this.resolvePolicy(userId), ({ tier, algorithm }) => {
+            const consume = state => {
+                const now = this.now();
+                const result = algorithm.consume(state, now, cost);
+                if (!withStatus) {
+                    return result;
+                }
+                
+                // Inspected inside the update, so the status is that of the state just saved
+                const inspected = algorithm.inspect(result.state, now, cost);
+                return { ...result, status: this.buildStatus(userId, cost, tier, algorithm, inspected, now) };
+            };
+            const ttlMs = algorithm.ttlMs || this.windowMs;
+            
+            return this.withStore(
+                operation,
+                userId,
+                () => this.store.update(userId, consume, ttlMs),
+                ({ allowed, status }) => (withStatus ? { allowed, status } : allowed),
+                failOpen => {
+                    if (!withStatus) {
+                        return failOpen;
+                    }
+                    const now = this.now();
+                    const inspected = this.inspectFailure(algorithm, failOpen, now, cost);
+                    return { allowed: failOpen, status: this.buildStatus(userId, cost, tier, algorithm, inspected, now) };
+                }
+            );
+        });
+    }
+    
+    /**
+     * Checks if a request is allowed for a given user
+     * 
+     * @param {string} userId - The user ID to check
+     * @returns {boolean|Promise<boolean>} True if request is allowed, false if rate limit exceeded
+     */
+    isAllowed(userId) {
+        return this.consumeUnits('isAllowed', userId, 1);
+    }
+    
+    /**
+     * Checks if a request of several units is allowed, and counts it if so
+     * 
+     * All or nothing: a request that does not fit in full is not counted at all.
+     * 
+     * @param {string} userId - The user ID to check
+     * @param {number} [cost=1] - Units the request uses, e.g. more for bulk exports
+     * @returns {boolean|Promise<boolean>} True if the request is allowed, false if it does not fit
+     * @throws {TypeError} If cost is not a positive integer
+     */
+    consume(userId, cost = 1) {
+        return this.consumeUnits('consume', userId, cost);
+    }
+    
+    /**
+     * Like consume(), but also returns the status right after the decision
+     * 
+     * Both come from one store operation, so on a shared store no other
+     * instance can change the counts in between; use this to build response
+     * headers that agree with the decision.
+     * 
+     * @param {string} userId - The user ID to check
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {Object|Promise<Object>} { allowed, status }, status as from getStatus(userId, cost)
+     * @throws {TypeError} If cost is not a positive integer
+     */
+    consumeWithStatus(userId, cost = 1) {
+        return this.consumeUnits('consumeWithStatus', userId, cost, true);
     }
     
     /**
      * Attempts to make a request, throws error if rate limit exceeded
      * 
      * @param {string} userId - The user ID making the request
-     * @throws {Error} If rate limit is exceeded
-     */
-    makeRequest(userId) {
-        if (!this.isAllowed(userId)) {
-            const timestamps = this.userRequests.get(userId) || [];
-            const oldestRequest = Math.min(...timestamps);
-            const timeUntilReset = this.windowMs - (Date.now() - oldestRequest);
-            const secondsUntilReset = Math.ceil(timeUntilReset / 1000);
+     * @param {number} [cost=1] - Units the request uses
+     * @returns {undefined|Promise<void>} A Promise when the store is asynchronous
+     * @throws {Error} If rate limit is exceeded, saying how long until cost units fit
+     */
+    makeRequest(userId, cost = 1) {
+        return whenReady(this.consume(userId, cost), allowed => {
+            if (allowed) {
+                return undefined;
+            }
             
-            throw new Error(
-                `Rate limit exceeded for user ${userId}. ` +
-                `Maximum ${this.maxRequests} requests per ${this.windowMs / 1000} seconds. ` +
-                `Try again in ${secondsUntilReset} seconds.`
-            );
-        }
+            return whenReady(this.getStatus(userId, cost), status => {
+                // With a policy, name the window that is blocking
+                const blocking = status.windows && status.windows.find(window => window.name === status.blockedBy);
+                const { limit, windowMs } = blocking || { limit: this.maxRequests, windowMs: this.windowMs };
+                const prefix = `Rate limit exceeded for user ${userId}. `;
+                
+                if (cost === 1) {
+                    throw new Error(
+                        prefix +
+                        `Maximum ${limit} requests per ${windowMs / 1000} seconds. ` +
+                        `Try again in ${status.retryAfterSeconds} seconds.`
+                    );
+                }
+                if (status.retryAfterSeconds === null) {
+                    throw new Error(
+                        prefix +
+                        `This request costs ${cost} units, more than the maximum of ${limit} ` +
+                        `units per ${windowMs / 1000} seconds, so it can never be allowed.`
+                    );
+                }
+                throw new Error(
+                    prefix +
+                    `This request costs ${cost} units and ${status.remaining} of ${limit} ` +
+                    `units per ${windowMs / 1000} seconds are left. ` +
+                    `Try again in ${status.retryAfterSeconds} seconds.`
+                );
+            });
+        });
     }
     
     /**
      * Gets the number of remaining requests for a user
      * 
      * @param {string} userId - The user ID to check
-     * @returns {number} Number of remaining requests in the current window
+     * @returns {number|Promise<number>} Number of remaining requests in the current window
      */
     getRemainingRequests(userId) {
-        if (!userId || typeof userId !== 'string') {
-            throw new TypeError('userId must be a non-empty string');
-        }
-        
-        const now = Date.now();
-        const cutoffTime = now - this.windowMs;
-        
-        const timestamps = this.userRequests.get(userId) || [];
-        const validTimestamps = timestamps.filter(ts => ts > cutoffTime);
-        
-        return Math.max(0, this.maxRequests - validTimestamps.length);
+        return whenReady(this.getStatus(userId), status => status.remaining);
     }
     
     /**
      * Gets information about a user's rate limit status
      * 
+     * resetAt is when the next request slot frees up (now if none is used).
+     * While the store is failing the status follows the failure policy: a
+     * fresh window when failing open, an exhausted one when failing closed.
+     * 
+     * Counts are in units. retryAfterSeconds is how long until a request of
+     * cost units fits (0 if it fits now, null if it never can).
+     * 
+     * With a policy the top-level figures describe the binding window, and
+     * `windows` lists every window with `blockedBy` naming the one that is
+     * blocking (null if none is). With tiers, `tier` names the user's tier.
+     * 
      * @param {string} userId - The user ID to check
-     * @returns {Object} Status information including remaining requests and reset time
+     * @param {number} [cost=1] - Units of the request to report retryAfterSeconds for
+     * @returns {Object|Promise<Object>} Status information including remaining requests and reset time
      */
-    getStatus(userId) {
-        if (!userId || typeof userId !== 'string') {
-            throw new TypeError('userId must be a non-empty string');
-        }
-        
-        const now = Date.now();
-        const cutoffTime = now - this.windowMs;
+    getStatus(userId, cost = 1) {
+        this.validateUserId(userId);
+        this.validateCost(cost);
         
-        const timestamps = this.userRequests.get(userId) || [];
-        const validTimestamps = timestamps.filter(ts => ts > cutoffTime);
+        return whenReady(this.resolvePolicy(userId), ({ tier, algorithm }) => this.withStore(
+            'getStatus',
+            userId,
+            () => this.store.get(userId),
+            state => {
+                const now = this.now();
+                return this.buildStatus(userId, cost, tier, algorithm, algorithm.inspect(state, now, cost), now);
+            },
+            failOpen => {
+                const now = this.now();
+                const inspected = this.inspectFailure(algorithm, failOpen, now, cost);
+                return this.buildStatus(userId, cost, tier, algorithm, inspected, now);
+            }
+        ));
+    }
+    
+    /**
+     * Turns an algorithm's inspect() result into the status getStatus() reports
+     * 
+     * @param {string} userId - The user ID
+     * @param {number} cost - Units of the request to report retryAfterSeconds for
+     * @param {string} [tier] - The user's tier, if tiers are configured
+     * @param {Object} algorithm - The user's algorithm
+     * @param {Object} inspected - Result of algorithm.inspect()
+     * @param {number} now - Time of the inspection
+     * @returns {Object} Status information
+     */
+    buildStatus(userId, cost, tier, algorithm, inspected, now) {
+        const secondsUntil = time => Math.max(0, Math.ceil((time - now) / 1000));
         
-        const remaining = Math.max(0, this.maxRequests - validTimestamps.length);
-        const oldestRequest = validTimestamps.length > 0 ? Math.min(...validTimestamps) : null;
-        const resetTime = oldestRequest ? oldestRequest + this.windowMs : now;
-        const secondsUntilReset = oldestRequest ? Math.ceil((resetTime - now) / 1000) : 0;
+        // Algorithms that predate weighted requests only report resetTime
+        const retryAfter = ({ remaining, resetTime, retryTime }) => {
+            if (retryTime === undefined) {
+                retryTime = remaining >= cost ? now : resetTime;
+            }
+            return retryTime === Infinity ? null : secondsUntil(retryTime);
+        };
         
-        return {
+        const status = {
             userId,
-            remaining,
-            used: validTimestamps.length,
-            limit: this.maxRequests,
-            resetInSeconds: secondsUntilReset,
-            resetAt: new Date(resetTime).toISOString()
+            remaining: inspected.remaining,
+            used: inspected.used,
+            limit: inspected.limit !== undefined ? inspected.limit : algorithm.limit,
+            resetInSeconds: secondsUntil(inspected.resetTime),
+            resetAt: new Date(inspected.resetTime).toISOString(),
+            retryAfterSeconds: retryAfter(inspected)
         };
+        
+        if (tier !== undefined) {
+            status.tier = tier;
+        }
+        if (inspected.windows) {
+            status.windows = inspected.windows.map(({ resetTime, retryTime, ...window }) => ({
+                ...window,
+                resetInSeconds: secondsUntil(resetTime),
+                resetAt: new Date(resetTime).toISOString(),
+                retryAfterSeconds: retryAfter({ ...window, resetTime, retryTime })
+            }));
+            status.blockedBy = inspected.blockedBy;
+        }
+        return status;
+    }
+    
+    /**
+     * What inspect() would report while the store is failing: a fresh window
+     * when failing open, an exhausted one when failing closed
+     * 
+     * @param {Object} algorithm - The user's algorithm
+     * @param {boolean} failOpen - Whether the limiter fails open
+     * @param {number} now - Current time
+     * @param {number} cost - Units of the request
+     * @returns {Object} An inspect()-style result
+     */
+    inspectFailure(algorithm, failOpen, now, cost) {
+        return failOpen
+            ? algorithm.inspect(undefined, now, cost)
+            : { used: algorithm.limit, remaining: 0, resetTime: now + this.windowMs };
     }
     
     /**
      * Resets the rate limit for a specific user (useful for testing)
      * 
      * @param {string} userId - The user ID to reset
+     * @returns {undefined|Promise<void>} A Promise when the store is asynchronous
      */
     reset(userId) {
         if (userId) {
-            this.userRequests.delete(userId);
-        } else {
-            // Reset all users
-            this.userRequests.clear();
+            return this.store.delete(userId);
         }
+        // Reset all users
+        return this.store.clear();
     }
     
     /**
      * Stops the cleanup interval (call this when done with the rate limiter)
+     * 
+     * Stores may be shared between limiters, so closing one is left to the caller.
      */
     destroy() {
         if (this.cleanupInterval) {
@@ -199,7 +1257,15 @@ function createRateLimiter() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         RateLimiter,
-        createRateLimiter
+        createRateLimiter,
+        MemoryStore,
+        MultiWindowAlgorithm,
+        FAILURE_MODES,
+        ALGORITHMS,
+        SlidingLogAlgorithm,
+        FixedWindowAlgorithm,
+        SlidingWindowCounterAlgorithm,
+        TokenBucketAlgorithm,
+        LeakyBucketAlgorithm
     };
 }
-
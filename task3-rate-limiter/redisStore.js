@@ -0,0 +1,387 @@
+/**
+ * Redis Store for the Rate Limiter
+ * 
+ * Keeps rate limit state in Redis (or any server speaking the Redis
+ * protocol, RESP) so that several Node instances enforce one shared limit.
+ * Uses a single connection and no dependencies beyond Node's net module.
+ */
+
+const net = require('net');
+
+/**
+ * Error for failed Redis commands, connection problems and error replies
+ */
+class RedisError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'RedisError';
+    }
+}
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ * 
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+function encodeCommand(args) {
+    let encoded = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return encoded;
+}
+
+/**
+ * Parses one RESP value from a buffer
+ * 
+ * Error replies are returned as RedisError values rather than thrown, so
+ * that errors nested in EXEC replies stay in place.
+ * 
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} [offset=0] - Where the value starts
+ * @returns {Object|null} { value, offset } with the offset after the value, or null if incomplete
+ * @throws {RedisError} If the bytes are not valid RESP
+ */
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Unexpected RESP type "${type}"`);
+    }
+}
+
+/**
+ * Rate limit store backed by Redis
+ * 
+ * update() is an optimistic transaction: WATCH the key, read it, compute
+ * the new state, then MULTI/SET/EXEC. If another instance wrote the key in
+ * between, EXEC is aborted and the update runs again on the fresh state.
+ * Commands on the connection are serialized so transactions never interleave.
+ * Keys expire through Redis (PX), so no cleanup is needed.
+ * 
+ * All methods return Promises; connection failures reject them with a
+ * RedisError, which the RateLimiter handles according to its failureMode.
+ */
+class RedisStore {
+    /**
+     * Creates a new RedisStore
+     * 
+     * @param {Object} [options] - Store options
+     * @param {string} [options.host='127.0.0.1'] - Redis host
+     * @param {number} [options.port=6379] - Redis port
+     * @param {string} [options.keyPrefix='ratelimit:'] - Prefix for every key, so limiters can share a server
+     * @param {number} [options.connectTimeout=1000] - Milliseconds to wait for a connection
+     * @param {number} [options.commandTimeout=1000] - Milliseconds to wait for each reply
+     * @param {number} [options.maxConflictRetries=10] - Times update() re-runs after a conflicting write
+     */
+    constructor({
+        host = '127.0.0.1',
+        port = 6379,
+        keyPrefix = 'ratelimit:',
+        connectTimeout = 1000,
+        commandTimeout = 1000,
+        maxConflictRetries = 10
+    } = {}) {
+        this.host = host;
+        this.port = port;
+        this.keyPrefix = keyPrefix;
+        this.connectTimeout = connectTimeout;
+        this.commandTimeout = commandTimeout;
+        this.maxConflictRetries = maxConflictRetries;
+        
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = [];
+        this.queue = Promise.resolve();
+    }
+    
+    /**
+     * Opens the connection if it is not open yet
+     * 
+     * @returns {Promise<net.Socket>} The connected socket
+     */
+    connect() {
+        if (this.connecting) {
+            return this.connecting;
+        }
+        
+        const socket = net.createConnection({ host: this.host, port: this.port });
+        this.socket = socket;
+        
+        this.connecting = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                socket.destroy(new RedisError(`Timed out connecting to Redis at ${this.host}:${this.port}`));
+            }, this.connectTimeout);
+            
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve(socket);
+            });
+            socket.on('data', chunk => this.handleData(chunk));
+            socket.on('error', error => {
+                clearTimeout(timer);
+                reject(new RedisError(`Could not connect to Redis at ${this.host}:${this.port}`, { cause: error }));
+                this.handleDisconnect(socket, new RedisError(`Redis connection failed: ${error.message}`, { cause: error }));
+            });
+            socket.on('close', () => {
+                clearTimeout(timer);
+                reject(new RedisError(`Could not connect to Redis at ${this.host}:${this.port}`));
+                this.handleDisconnect(socket, new RedisError('Redis connection closed'));
+            });
+        });
+        
+        return this.connecting;
+    }
+    
+    /**
+     * Matches received replies to pending commands, in order
+     * 
+     * @param {Buffer} chunk - Received bytes
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        let reply;
+        try {
+            while (this.pending.length > 0 && (reply = parseReply(this.buffer)) !== null) {
+                this.buffer = this.buffer.subarray(reply.offset);
+                const { resolve, reject } = this.pending.shift();
+                if (reply.value instanceof RedisError) {
+                    reject(reply.value);
+                } else {
+                    resolve(reply.value);
+                }
+            }
+        } catch (error) {
+            // Out of sync with the server; start over on a fresh connection
+            this.socket.destroy(error);
+        }
+    }
+    
+    /**
+     * Fails pending commands and forgets the connection
+     * 
+     * @param {net.Socket} socket - The socket that went away
+     * @param {Error} error - Reason given to pending commands
+     */
+    handleDisconnect(socket, error) {
+        if (this.socket === socket) {
+            this.socket = null;
+            this.connecting = null;
+            this.buffer = Buffer.alloc(0);
+        }
+        
+        for (const { reject } of this.pending.splice(0)) {
+            reject(error);
+        }
+    }
+    
+    /**
+     * Sends one command and waits for its reply
+     * 
+     * @param {...(string|number)} args - Command name and arguments
+     * @returns {Promise<*>} The reply
+     * @throws {RedisError} On an error reply, a timeout or a lost connection
+     */
+    async command(...args) {
+        const socket = await this.connect();
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                socket.destroy(new RedisError(`Redis ${args[0]} timed out after ${this.commandTimeout}ms`));
+            }, this.commandTimeout);
+            
+            this.pending.push({
+                resolve: value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+            socket.write(encodeCommand(args));
+        });
+    }
+    
+    /**
+     * Runs operations on the connection one at a time
+     * 
+     * @param {Function} operation - Async function using command()
+     * @returns {Promise<*>} The operation's result
+     */
+    exclusive(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+    
+    /**
+     * @param {string} key - Store key
+     * @returns {Promise<*>} Stored state, or undefined
+     */
+    get(key) {
+        return this.exclusive(async () => {
+            const value = await this.command('GET', this.keyPrefix + key);
+            return value === null ? undefined : JSON.parse(value);
+        });
+    }
+    
+    /**
+     * Atomically applies updater to the stored state and saves the result
+     * 
+     * updater may run more than once if other instances write the same key.
+     * 
+     * @param {string} key - Store key
+     * @param {Function} updater - Called with the current state; returns { state, ... }
+     * @param {number} ttlMs - How long the new state is kept
+     * @returns {Promise<Object>} The result of the updater run that was committed
+     * @throws {RedisError} If every attempt conflicted, or Redis failed
+     */
+    update(key, updater, ttlMs) {
+        const redisKey = this.keyPrefix + key;
+        const ttl = Math.max(1, Math.ceil(ttlMs));
+        
+        return this.exclusive(async () => {
+            for (let attempt = 0; attempt <= this.maxConflictRetries; attempt++) {
+                await this.command('WATCH', redisKey);
+                const value = await this.command('GET', redisKey);
+                
+                let result;
+                try {
+                    result = updater(value === null ? undefined : JSON.parse(value));
+                } catch (error) {
+                    await this.command('UNWATCH');
+                    throw error;
+                }
+                
+                await this.command('MULTI');
+                let replies;
+                try {
+                    await this.command('SET', redisKey, JSON.stringify(result.state), 'PX', ttl);
+                    replies = await this.command('EXEC');
+                } catch (error) {
+                    // Leave MULTI, or every later command on this connection is queued
+                    // (after a failed EXEC there is nothing to discard)
+                    await this.command('DISCARD').catch(() => {});
+                    throw error;
+                }
+                
+                // A null reply means the key changed after WATCH
+                if (replies === null) {
+                    continue;
+                }
+                
+                // EXEC succeeds even when a queued command failed; its reply holds the error
+                const failed = replies.find(reply => reply instanceof RedisError);
+                if (failed) {
+                    throw failed;
+                }
+                return result;
+            }
+            
+            throw new RedisError(`Gave up updating ${redisKey} after ${this.maxConflictRetries + 1} conflicting writes`);
+        });
+    }
+    
+    /**
+     * @param {string} key - Store key
+     * @returns {Promise<void>}
+     */
+    delete(key) {
+        return this.exclusive(async () => {
+            await this.command('DEL', this.keyPrefix + key);
+        });
+    }
+    
+    /**
+     * Deletes every key under this store's prefix
+     * 
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.exclusive(async () => {
+            let cursor = '0';
+            do {
+                const [next, keys] = await this.command('SCAN', cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 100);
+                if (keys.length > 0) {
+                    await this.command('DEL', ...keys);
+                }
+                cursor = next;
+            } while (cursor !== '0');
+        });
+    }
+    
+    /**
+     * Closes the connection; the next command opens a new one
+     * 
+     * @returns {Promise<void>}
+     */
+    close() {
+        const socket = this.socket;
+        if (!socket) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            socket.once('close', () => resolve());
+            socket.end();
+        });
+    }
+}
+
+// Export for use in other modules that use the redisStore module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RedisStore,
+        RedisError,
+        encodeCommand,
+        parseReply
+    };
+}
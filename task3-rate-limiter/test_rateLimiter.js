@@ -2,7 +2,11 @@
  * Test suite and working examples for Rate Limiter
  */
 
-const { RateLimiter, createRateLimiter } = require('./rateLimiter');
+const http = require('http');
+const net = require('net');
+const { RateLimiter, createRateLimiter, MemoryStore, ALGORITHMS } = require('./rateLimiter');
+const { RedisStore, parseReply } = require('./redisStore');
+const { createRateLimitMiddleware, getClientIp } = require('./middleware');
 
 /**
  * Helper function to delay execution
@@ -240,6 +244,722 @@ async function example7_CleanupExpiredEntries() {
     limiter.destroy();
 }
 
+/**
+ * Example 8: Selecting an algorithm at construction time
+ */
+async function example8_SelectingAnAlgorithm() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 8: Selecting an Algorithm at Construction Time');
+    console.log('='.repeat(60));
+    
+    console.log('\nEvery algorithm answers the same calls (5 requests per 60 seconds, 6 attempts):');
+    
+    for (const algorithm of Object.keys(ALGORITHMS)) {
+        // A controllable clock keeps the output deterministic
+        let time = 1000000;
+        const limiter = new RateLimiter(5, 60000, { algorithm, now: () => time });
+        const userId = 'user_algo';
+        
+        const results = [];
+        for (let i = 1; i <= 6; i++) {
+            results.push(limiter.isAllowed(userId) ? '✓' : '✗');
+            time += 1000;
+        }
+        
+        const status = limiter.getStatus(userId);
+        console.log(`  ${algorithm.padEnd(24)} ${results.join(' ')} | ` +
+                   `Remaining: ${limiter.getRemainingRequests(userId)} | ` +
+                   `Reset in: ${status.resetInSeconds}s`);
+        
+        if (results.join('') !== '✓✓✓✓✓✗' || status.remaining !== 0 || status.used !== 5) {
+            console.log(`  ERROR: ${algorithm} should allow exactly 5 requests`);
+        }
+        
+        limiter.reset(userId);
+        if (limiter.getStatus(userId).remaining !== 5) {
+            console.log(`  ERROR: ${algorithm} should be back to 5 after reset()`);
+        }
+        
+        limiter.destroy();
+    }
+    
+    try {
+        new RateLimiter(5, 60000, { algorithm: 'unknown' });
+        console.log('ERROR: Should have thrown an error');
+    } catch (error) {
+        console.log(`\n✓ Unknown algorithm rejected: ${error.message}`);
+    }
+}
+
+/**
+ * Example 9: How the algorithms differ over time
+ */
+async function example9_AlgorithmTradeoffs() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 9: How the Algorithms Differ Over Time');
+    console.log('='.repeat(60));
+    
+    let time = 0;
+    const now = () => time;
+    const userId = 'user_tradeoffs';
+    
+    /**
+     * Sends count requests at the current time and returns how many were allowed
+     */
+    function burst(limiter, count) {
+        let allowed = 0;
+        for (let i = 0; i < count; i++) {
+            allowed += limiter.isAllowed(userId) ? 1 : 0;
+        }
+        return allowed;
+    }
+    
+    // Fixed window: 5 at the end of one window and 5 at the start of the next
+    time = 59000;
+    const fixed = new RateLimiter(5, 60000, { algorithm: 'fixed-window', now });
+    const fixedAllowed = burst(fixed, 5) + ((time = 61000), burst(fixed, 5));
+    console.log(`\nFixed window, 10 requests across a boundary:   ${fixedAllowed} allowed`);
+    
+    // Sliding-window counter: the previous window still weighs in after the boundary
+    time = 59000;
+    const counter = new RateLimiter(5, 60000, { algorithm: 'sliding-window-counter', now });
+    const counterAllowed = burst(counter, 5) + ((time = 61000), burst(counter, 5));
+    console.log(`Sliding-window counter, same traffic:          ${counterAllowed} allowed`);
+    
+    if (fixedAllowed !== 10 || counterAllowed !== 5) {
+        console.log('ERROR: Expected the fixed window to allow 10 and the counter to allow 5');
+    }
+    
+    // Token bucket: a burst of 10, then one token every 12 seconds
+    time = 0;
+    const bucket = new RateLimiter(5, 60000, { algorithm: 'token-bucket', capacity: 10, now });
+    const bucketBurst = burst(bucket, 12);
+    time = 12000;
+    const afterRefill = burst(bucket, 2);
+    console.log(`Token bucket (capacity 10), burst of 12:       ${bucketBurst} allowed, ` +
+                `${afterRefill} more after 12 seconds`);
+    
+    // Leaky bucket with capacity 1: requests are spaced 12 seconds apart
+    time = 0;
+    const leaky = new RateLimiter(5, 60000, { algorithm: 'leaky-bucket', capacity: 1, now });
+    const leakyBurst = burst(leaky, 3);
+    const leakyStatus = leaky.getStatus(userId);
+    console.log(`Leaky bucket (capacity 1), burst of 3:         ${leakyBurst} allowed, ` +
+                `next slot in ${leakyStatus.resetInSeconds} seconds`);
+    
+    if (bucketBurst !== 10 || afterRefill !== 1 || leakyBurst !== 1 || leakyStatus.resetInSeconds !== 12) {
+        console.log('ERROR: Unexpected token or leaky bucket behaviour');
+    }
+    
+    for (const limiter of [fixed, counter, bucket, leaky]) {
+        limiter.destroy();
+    }
+}
+
+/**
+ * Starts a minimal Redis stand-in on a random local port
+ * 
+ * Speaks enough RESP for RedisStore: PING, GET, SET (with PX), DEL, WATCH,
+ * UNWATCH, MULTI, EXEC, DISCARD and SCAN. WATCH is honoured, so
+ * transactions from different connections conflict like they would on Redis.
+ * 
+ * @returns {Promise<Object>} { port, data, close }
+ */
+function startRedisStandIn() {
+    const data = new Map(); // key → { value, expiresAt, version }
+    // faults.set: 'queued' rejects SET inside MULTI (as -OOM does), 'exec' fails it when EXEC runs
+    const faults = { set: null };
+    let version = 0;
+    
+    const read = key => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+            version++;
+            return undefined;
+        }
+        return entry;
+    };
+    const versionOf = key => (read(key) || { version: 0 }).version;
+    
+    const bulk = value => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    const array = items => `*${items.length}\r\n${items.join('')}`;
+    
+    // Runs one command and returns the encoded reply
+    const execute = ([name, ...args]) => {
+        switch (name.toUpperCase()) {
+            case 'PING':
+                return '+PONG\r\n';
+            case 'GET': {
+                const entry = read(args[0]);
+                return bulk(entry ? entry.value : null);
+            }
+            case 'SET': {
+                if (faults.set === 'exec') {
+                    return '-ERR value is not valid\r\n';
+                }
+                const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+                const expiresAt = px === -1 ? null : Date.now() + Number(args[px + 1]);
+                data.set(args[0], { value: args[1], expiresAt, version: ++version });
+                return '+OK\r\n';
+            }
+            case 'DEL': {
+                const deleted = args.filter(key => read(key) && data.delete(key)).length;
+                version++;
+                return `:${deleted}\r\n`;
+            }
+            case 'SCAN': {
+                const pattern = args[args.findIndex(arg => arg.toUpperCase() === 'MATCH') + 1] || '*';
+                const prefix = pattern.replace(/\*$/, '');
+                const keys = [...data.keys()].filter(key => key.startsWith(prefix) && read(key));
+                return array([bulk('0'), array(keys.map(bulk))]);
+            }
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    };
+    
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        let watched = new Map();
+        let queued = null;
+        
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            while ((request = parseReply(buffer)) !== null) {
+                buffer = buffer.subarray(request.offset);
+                const [name, ...args] = request.value;
+                
+                switch (name.toUpperCase()) {
+                    case 'WATCH':
+                        args.forEach(key => watched.set(key, versionOf(key)));
+                        socket.write('+OK\r\n');
+                        break;
+                    case 'UNWATCH':
+                        watched = new Map();
+                        socket.write('+OK\r\n');
+                        break;
+                    case 'MULTI':
+                        queued = [];
+                        socket.write('+OK\r\n');
+                        break;
+                    case 'DISCARD':
+                        queued = null;
+                        watched = new Map();
+                        socket.write('+OK\r\n');
+                        break;
+                    case 'EXEC': {
+                        const conflict = [...watched].some(([key, seen]) => versionOf(key) !== seen);
+                        if (queued.aborted) {
+                            socket.write('-EXECABORT Transaction discarded because of previous errors.\r\n');
+                        } else {
+                            socket.write(conflict ? '*-1\r\n' : array(queued.map(execute)));
+                        }
+                        queued = null;
+                        watched = new Map();
+                        break;
+                    }
+                    default:
+                        if (queued && faults.set === 'queued' && name.toUpperCase() === 'SET') {
+                            queued.aborted = true;
+                            socket.write("-OOM command not allowed when used memory > 'maxmemory'.\r\n");
+                        } else if (queued) {
+                            queued.push(request.value);
+                            socket.write('+QUEUED\r\n');
+                        } else {
+                            socket.write(execute(request.value));
+                        }
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                port: server.address().port,
+                data,
+                faults,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections?.();
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Example 10: Sharing limits between instances through a store
+ */
+async function example10_SharedStore() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 10: Sharing Limits Between Instances Through a Store');
+    console.log('='.repeat(60));
+    
+    const standIn = await startRedisStandIn();
+    console.log(`\nRedis stand-in listening on port ${standIn.port}`);
+    
+    // Two "Node instances", each with its own connection and limiter
+    const storeA = new RedisStore({ port: standIn.port });
+    const storeB = new RedisStore({ port: standIn.port });
+    const limiterA = new RateLimiter(5, 60000, { store: storeA });
+    const limiterB = new RateLimiter(5, 60000, { store: storeB });
+    const userId = 'user_shared';
+    
+    console.log('Sending 8 concurrent requests through instance A and 8 through instance B:');
+    const results = await Promise.all([
+        ...Array.from({ length: 8 }, () => limiterA.isAllowed(userId)),
+        ...Array.from({ length: 8 }, () => limiterB.isAllowed(userId))
+    ]);
+    const allowed = results.filter(Boolean).length;
+    console.log(`  Allowed in total: ${allowed} (limit is 5 across both instances)`);
+    
+    const status = await limiterB.getStatus(userId);
+    console.log(`  Status from instance B: Used ${status.used}/${status.limit}, ` +
+                `Remaining: ${status.remaining}, Reset in: ${status.resetInSeconds}s`);
+    
+    try {
+        await limiterA.makeRequest(userId);
+        console.log('ERROR: Should have thrown an error');
+    } catch (error) {
+        console.log(`✓ makeRequest() rejected: ${error.message}`);
+    }
+    
+    if (allowed !== 5 || status.remaining !== 0) {
+        console.log('ERROR: Both instances together should allow exactly 5 requests');
+    }
+    
+    // The decision and the status from one transaction
+    const checked = await limiterA.consumeWithStatus(userId);
+    console.log(`  consumeWithStatus(): ${checked.allowed ? '✓ ALLOWED' : '✗ BLOCKED'} | ` +
+                `Remaining: ${checked.status.remaining}, Retry after: ${checked.status.retryAfterSeconds}s`);
+    if (checked.allowed || checked.status.remaining !== 0 || checked.status.retryAfterSeconds < 1) {
+        console.log('ERROR: consumeWithStatus() should report the blocked state');
+    }
+    
+    // Other algorithms keep their state in the store too
+    const bucket = new RateLimiter(5, 60000, { store: storeA, algorithm: 'token-bucket' });
+    const bucketResults = [];
+    for (let i = 0; i < 6; i++) {
+        bucketResults.push(await bucket.isAllowed('user_bucket') ? '✓' : '✗');
+    }
+    console.log(`  Token bucket on the same store: ${bucketResults.join(' ')}`);
+    
+    await limiterA.reset();
+    console.log(`  After reset(): ${await limiterB.getRemainingRequests(userId)} remaining, ` +
+                `${standIn.data.size} keys left in the store`);
+    
+    if (bucketResults.join('') !== '✓✓✓✓✓✗' || standIn.data.size !== 0) {
+        console.log('ERROR: Expected the token bucket to allow 5 and reset() to clear the store');
+    }
+    
+    for (const limiter of [limiterA, limiterB, bucket]) {
+        limiter.destroy();
+    }
+    await storeA.close();
+    await storeB.close();
+    await standIn.close();
+}
+
+/**
+ * Example 11: Failing open or closed when the store is unreachable
+ */
+async function example11_StoreFailurePolicy() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 11: Failing Open or Closed When the Store Is Unreachable');
+    console.log('='.repeat(60));
+    
+    // Nothing listens on this port once the stand-in is closed
+    const standIn = await startRedisStandIn();
+    await standIn.close();
+    const store = new RedisStore({ port: standIn.port, connectTimeout: 500 });
+    
+    const errors = [];
+    const onStoreError = (error, { operation }) => errors.push(`${operation}: ${error.message}`);
+    const failOpen = new RateLimiter(5, 60000, { store, failureMode: 'open', onStoreError });
+    const failClosed = new RateLimiter(5, 60000, { store, failureMode: 'closed', onStoreError });
+    
+    const openAllowed = await failOpen.isAllowed('user_outage');
+    const closedAllowed = await failClosed.isAllowed('user_outage');
+    const closedStatus = await failClosed.getStatus('user_outage');
+    
+    console.log(`\nfailureMode 'open':   ${openAllowed ? '✓ ALLOWED' : '✗ BLOCKED'}`);
+    console.log(`failureMode 'closed': ${closedAllowed ? '✓ ALLOWED' : '✗ BLOCKED'} | ` +
+                `Remaining: ${closedStatus.remaining}`);
+    console.log(`onStoreError was called ${errors.length} times, e.g. "${errors[0]}"`);
+    
+    if (!openAllowed || closedAllowed || closedStatus.remaining !== 0 || errors.length !== 3) {
+        console.log('ERROR: Unexpected behaviour while the store is down');
+    }
+    
+    failOpen.destroy();
+    failClosed.destroy();
+    await store.close();
+    
+    // A write the store refuses must leave the connection usable
+    const refusing = await startRedisStandIn();
+    const refusingStore = new RedisStore({ port: refusing.port });
+    const writeErrors = [];
+    for (const fault of ['queued', 'exec']) {
+        refusing.faults.set = fault;
+        await refusingStore.update('refused', () => ({ state: 1 }), 60000)
+            .catch(error => writeErrors.push(error.message));
+    }
+    refusing.faults.set = null;
+    await refusingStore.update('refused', () => ({ state: 2 }), 60000);
+    const stored = await refusingStore.get('refused');
+    
+    console.log(`\nRefused writes reported: ${writeErrors.length} ("${writeErrors[0]}")`);
+    console.log(`Next write on the same connection stored: ${stored}`);
+    
+    if (writeErrors.length !== 2 || stored !== 2) {
+        console.log('ERROR: A refused write was lost or broke the connection');
+    }
+    
+    await refusingStore.close();
+    await refusing.close();
+}
+
+/**
+ * Example 12: HTTP middleware with RateLimit headers and 429 responses
+ */
+async function example12_HttpMiddleware() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 12: HTTP Middleware with RateLimit Headers and 429 Responses');
+    console.log('='.repeat(60));
+    
+    // Counts reads, to show that the headers come from the same store update as the decision
+    const store = new MemoryStore();
+    let storeReads = 0;
+    const get = store.get.bind(store);
+    store.get = key => {
+        storeReads++;
+        return get(key);
+    };
+    
+    const limiter = new RateLimiter(3, 60000, { store });
+    const rateLimit = createRateLimitMiddleware(limiter, {
+        // Limit by API key; health checks are not counted
+        keyGenerator: req => req.headers['x-api-key'] || getClientIp(req),
+        skip: req => req.url === '/health'
+    });
+    
+    const server = http.createServer((req, res) => {
+        rateLimit(req, res, error => {
+            res.statusCode = error ? 500 : 200;
+            res.end(error ? error.message : 'OK');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const headers = { 'x-api-key': 'key_middleware' };
+    
+    console.log('\nSending 4 requests with the same API key (limit is 3 per 60 seconds):');
+    const statuses = [];
+    const remaining = [];
+    let blocked;
+    for (let i = 1; i <= 4; i++) {
+        const response = await fetch(`${baseUrl}/data`, { headers });
+        statuses.push(response.status);
+        remaining.push(response.headers.get('ratelimit-remaining'));
+        console.log(`  Request ${i}: ${response.status} | ` +
+                   `RateLimit-Limit: ${response.headers.get('ratelimit-limit')}, ` +
+                   `RateLimit-Remaining: ${response.headers.get('ratelimit-remaining')}, ` +
+                   `RateLimit-Reset: ${response.headers.get('ratelimit-reset')}`);
+        if (response.status === 429) {
+            blocked = { retryAfter: response.headers.get('retry-after'), body: await response.json() };
+        } else {
+            await response.text();
+        }
+    }
+    
+    if (blocked) {
+        console.log(`  Retry-After: ${blocked.retryAfter} | Body: ${JSON.stringify(blocked.body)}`);
+    }
+    
+    const health = await fetch(`${baseUrl}/health`, { headers });
+    await health.text();
+    console.log(`  /health while blocked: ${health.status} (skipped, no RateLimit headers: ` +
+                `${!health.headers.has('ratelimit-limit')})`);
+    
+    const otherKey = await fetch(`${baseUrl}/data`, { headers: { 'x-api-key': 'key_other' } });
+    await otherKey.text();
+    console.log(`  Another API key: ${otherKey.status}, remaining ${otherKey.headers.get('ratelimit-remaining')}`);
+    console.log(`  Separate status reads from the store: ${storeReads}`);
+    
+    if (statuses.join(',') !== '200,200,200,429' || !blocked || Number(blocked.retryAfter) < 1 ||
+        blocked.body.error !== 'Too Many Requests' || health.status !== 200 || otherKey.status !== 200) {
+        console.log('ERROR: Unexpected middleware behaviour');
+    }
+    if (remaining.join(',') !== '2,1,0,0' || storeReads !== 0) {
+        console.log('ERROR: Headers should come from the consume call itself');
+    }
+    
+    server.close();
+    limiter.destroy();
+}
+
+/**
+ * Example 13: Custom responses and Express-style chaining
+ */
+async function example13_MiddlewareHooks() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 13: Custom Responses and Express-Style Chaining');
+    console.log('='.repeat(60));
+    
+    const limiter = new RateLimiter(1, 60000);
+    const rateLimit = createRateLimitMiddleware(limiter, {
+        keyGenerator: req => req.user.id,
+        handler: (req, res, next, { key, retryAfter }) => {
+            res.statusCode = 429;
+            res.end(`Slow down, ${key}! Come back in ${retryAfter}s.`);
+        }
+    });
+    
+    // A minimal stand-in for Express's req/res; only what the middleware touches
+    const createResponse = () => ({
+        statusCode: 200,
+        headers: {},
+        body: null,
+        headersSent: false,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        end(body) { this.body = body; this.headersSent = true; }
+    });
+    
+    const req = { user: { id: 'user_express' } };
+    const calls = [];
+    
+    const first = createResponse();
+    await rateLimit(req, first, error => calls.push(error || 'next'));
+    const second = createResponse();
+    await rateLimit(req, second, error => calls.push(error || 'next'));
+    
+    console.log(`\nFirst request:  next() called (${calls[0]}), remaining ${first.headers['ratelimit-remaining']}`);
+    console.log(`Second request: ${second.statusCode} "${second.body}"`);
+    
+    // Errors from the key generator go to next(error)
+    await rateLimit({}, createResponse(), error => calls.push(error || 'next'));
+    console.log(`Request without a user: next(error) with "${calls[1] && calls[1].message}"`);
+    
+    if (calls.length !== 2 || calls[0] !== 'next' || !(calls[1] instanceof TypeError) ||
+        second.statusCode !== 429 || !second.body.includes('user_express')) {
+        console.log('ERROR: Unexpected hook behaviour');
+    }
+    
+    limiter.destroy();
+}
+
+/**
+ * Example 14: Several windows at once
+ */
+async function example14_MultipleWindows() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 14: Several Windows at Once (3/second and 5/minute)');
+    console.log('='.repeat(60));
+    
+    let time = 0;
+    const limiter = new RateLimiter({
+        policy: {
+            windows: [
+                { maxRequests: 3, windowMs: 1000 },
+                { maxRequests: 5, windowMs: 60000 }
+            ]
+        },
+        now: () => time
+    });
+    const userId = 'user_windows';
+    
+    const attempt = label => {
+        const allowed = limiter.isAllowed(userId);
+        const status = limiter.getStatus(userId);
+        const windows = status.windows.map(w => `${w.name} ${w.used}/${w.limit}`).join(', ');
+        console.log(`  ${label}: ${allowed ? '✓ ALLOWED' : '✗ BLOCKED'} | ${windows} | ` +
+                   `Blocked by: ${status.blockedBy || '-'}`);
+        return { allowed, status };
+    };
+    
+    console.log('\n4 requests in the same second:');
+    const burst = [1, 2, 3, 4].map(i => attempt(`Request ${i}`));
+    
+    time = 1000;
+    console.log('\nOne second later, 3 more requests:');
+    const later = [5, 6, 7].map(i => attempt(`Request ${i}`));
+    
+    try {
+        limiter.makeRequest(userId);
+        console.log('ERROR: Should have thrown an error');
+    } catch (error) {
+        console.log(`✓ makeRequest() names the blocking window: ${error.message}`);
+    }
+    
+    // The 4th request was rejected by the 1s window and not counted in the 1m window
+    const allowedCount = [...burst, ...later].filter(result => result.allowed).length;
+    if (allowedCount !== 5 || burst[3].status.blockedBy !== '1s' || later[2].status.blockedBy !== '1m' ||
+        later[2].status.windows[1].used !== 5) {
+        console.log('ERROR: Expected 5 requests allowed, blocked first by 1s and then by 1m');
+    }
+    
+    limiter.destroy();
+}
+
+/**
+ * Example 15: Per-tier policies
+ */
+async function example15_TieredPolicies() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 15: Per-Tier Policies');
+    console.log('='.repeat(60));
+    
+    const plans = { alice: 'free', bob: 'pro', ops: 'internal' };
+    const limiter = new RateLimiter({
+        tiers: {
+            free: { windows: [{ maxRequests: 2, windowMs: 1000 }, { maxRequests: 100, windowMs: 86400000 }] },
+            pro: { windows: [{ maxRequests: 5, windowMs: 1000 }, { maxRequests: 2000, windowMs: 86400000 }] },
+            internal: { windows: [{ maxRequests: 50, windowMs: 1000 }] }
+        },
+        // Could just as well look the plan up in a database and return a Promise
+        resolveTier: async userId => plans[userId] || 'free'
+    });
+    
+    console.log('\nEach user sends 6 requests in the same second:');
+    const allowedByUser = {};
+    for (const userId of ['alice', 'bob', 'ops']) {
+        let allowed = 0;
+        for (let i = 0; i < 6; i++) {
+            allowed += await limiter.isAllowed(userId) ? 1 : 0;
+        }
+        const status = await limiter.getStatus(userId);
+        allowedByUser[userId] = allowed;
+        console.log(`  ${userId.padEnd(6)} (${status.tier.padEnd(8)}): ${allowed} allowed | ` +
+                   status.windows.map(w => `${w.name} ${w.remaining} left`).join(', '));
+    }
+    
+    const misconfigured = new RateLimiter({
+        tiers: { free: { windows: [{ maxRequests: 1, windowMs: 1000 }] } },
+        resolveTier: () => 'gold'
+    });
+    try {
+        misconfigured.isAllowed('carol');
+        console.log('ERROR: Should have thrown an error');
+    } catch (error) {
+        console.log(`\n✓ Unknown tier rejected: ${error.message}`);
+    }
+    misconfigured.destroy();
+    
+    if (allowedByUser.alice !== 2 || allowedByUser.bob !== 5 || allowedByUser.ops !== 6) {
+        console.log('ERROR: Expected 2, 5 and 6 requests allowed for free, pro and internal');
+    }
+    
+    limiter.destroy();
+}
+
+/**
+ * Example 16: Weighted requests
+ */
+async function example16_WeightedRequests() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 16: Weighted Requests (10 units per 60 seconds)');
+    console.log('='.repeat(60));
+    
+    console.log('\nA search costs 1 unit and a bulk export 4; every algorithm counts all or nothing:');
+    for (const algorithm of Object.keys(ALGORITHMS)) {
+        let time = 0;
+        const limiter = new RateLimiter(10, 60000, { algorithm, now: () => time });
+        const userId = 'user_weighted';
+        
+        // 4 + 4 = 8 units; the third export does not fit and must not be counted
+        const exports = [limiter.consume(userId, 4), limiter.consume(userId, 4), limiter.consume(userId, 4)];
+        const afterExports = limiter.getStatus(userId, 4);
+        const searches = [limiter.consume(userId), limiter.consume(userId), limiter.consume(userId)];
+        
+        console.log(`  ${algorithm.padEnd(24)} exports ${exports.map(a => (a ? '✓' : '✗')).join(' ')} | ` +
+                   `remaining ${afterExports.remaining} units, 4 more fit in ${afterExports.retryAfterSeconds}s | ` +
+                   `searches ${searches.map(a => (a ? '✓' : '✗')).join(' ')}`);
+        
+        if (exports.join() !== 'true,true,false' || afterExports.remaining !== 2 ||
+            !(afterExports.retryAfterSeconds > 0) || searches.join() !== 'true,true,false') {
+            console.log(`  ERROR: ${algorithm} should count 4 + 4 + 1 + 1 units and reject the rest`);
+        }
+        
+        limiter.destroy();
+    }
+    
+    let time = 0;
+    const limiter = new RateLimiter(10, 60000, { now: () => time });
+    limiter.consume('user_export', 8);
+    time = 30000;
+    
+    console.log('\nmakeRequest() says how long until that cost fits:');
+    const messages = [];
+    for (const cost of [3, 20]) {
+        try {
+            limiter.makeRequest('user_export', cost);
+            console.log('ERROR: Should have thrown an error');
+        } catch (error) {
+            messages.push(error.message);
+            console.log(`  cost ${cost}: ${error.message}`);
+        }
+    }
+    
+    if (!messages[0].includes('Try again in 30 seconds') || !messages[1].includes('can never be allowed') ||
+        limiter.getStatus('user_export').used !== 8) {
+        console.log('ERROR: Unexpected makeRequest() messages');
+    }
+    
+    try {
+        limiter.consume('user_export', 0);
+        console.log('ERROR: Should have thrown an error');
+    } catch (error) {
+        console.log(`✓ Invalid cost rejected: ${error.message}`);
+    }
+    
+    limiter.destroy();
+}
+
+/**
+ * Example 17: Weighted requests in the middleware
+ */
+async function example17_WeightedMiddleware() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Example 17: Weighted Requests in the Middleware');
+    console.log('='.repeat(60));
+    
+    const limiter = new RateLimiter(10, 60000);
+    const rateLimit = createRateLimitMiddleware(limiter, {
+        keyGenerator: req => req.headers['x-api-key'],
+        cost: req => (req.url.startsWith('/export') ? 6 : 1)
+    });
+    
+    const server = http.createServer((req, res) => {
+        rateLimit(req, res, () => res.end('OK'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const headers = { 'x-api-key': 'key_weighted' };
+    
+    const send = async path => {
+        const response = await fetch(`${baseUrl}${path}`, { headers });
+        const body = await response.text();
+        console.log(`  GET ${path.padEnd(8)} → ${response.status} | ` +
+                   `RateLimit-Remaining: ${response.headers.get('ratelimit-remaining')}` +
+                   (response.status === 429 ? ` | Retry-After: ${response.headers.get('retry-after')} | ${body}` : ''));
+        return response.status;
+    };
+    
+    console.log('\nAn export costs 6 units, a search 1 (limit is 10 per 60 seconds):');
+    const statuses = [await send('/export'), await send('/export'), await send('/search')];
+    
+    if (statuses.join(',') !== '200,429,200' || (await limiter.getStatus('key_weighted')).used !== 7) {
+        console.log('ERROR: Expected the second export to be rejected without being counted');
+    }
+    
+    server.close();
+    limiter.destroy();
+}
+
 /**
  * Run all examples
  */
@@ -255,6 +975,16 @@ async function runAllExamples() {
     await example5_MakeRequestMethod();
     await example6_GetStatusDetails();
     await example7_CleanupExpiredEntries();
+    await example8_SelectingAnAlgorithm();
+    await example9_AlgorithmTradeoffs();
+    await example10_SharedStore();
+    await example11_StoreFailurePolicy();
+    await example12_HttpMiddleware();
+    await example13_MiddlewareHooks();
+    await example14_MultipleWindows();
+    await example15_TieredPolicies();
+    await example16_WeightedRequests();
+    await example17_WeightedMiddleware();
     
     console.log('\n' + '='.repeat(60));
     console.log('All examples completed!');
@@ -274,6 +1004,16 @@ module.exports = {
     example4_MultipleUsers,
     example5_MakeRequestMethod,
     example6_GetStatusDetails,
-    example7_CleanupExpiredEntries
+    example7_CleanupExpiredEntries,
+    example8_SelectingAnAlgorithm,
+    example9_AlgorithmTradeoffs,
+    example10_SharedStore,
+    example11_StoreFailurePolicy,
+    example12_HttpMiddleware,
+    example13_MiddlewareHooks,
+    example14_MultipleWindows,
+    example15_TieredPolicies,
+    example16_WeightedRequests,
+    example17_WeightedMiddleware
 };
 